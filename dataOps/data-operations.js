@@ -24,9 +24,12 @@ async function listFiles({ directory, extensions, title, emoji, includeStats = f
                 filteredFiles.map(async (file) => {
                     const fullPath = path.join(directory, file);
                     const stats = await fs.stat(fullPath);
+                    const uncompressed = await uncompressedSize(fullPath, stats.size);
                     return {
                         filename: file,
-                        size: formatFileSize(stats.size),
+                        size: uncompressed === null
+                            ? formatFileSize(stats.size)
+                            : `${formatFileSize(stats.size)}, ${formatFileSize(uncompressed)} uncompressed`,
                         modified: stats.mtime,
                     };
                 })
@@ -57,13 +60,37 @@ async function listFiles({ directory, extensions, title, emoji, includeStats = f
 }
 
 /**
- * List available saved models (just JSON files, no parsing)
+ * Size of a gzip file's contents, read from the ISIZE field that ends every
+ * gzip file (the size modulo 4 GiB), so nothing is decompressed. Brotli
+ * doesn't record the size.
+ * @param {string} filePath - File to measure
+ * @param {number} fileSize - Size of the file on disk
+ * @returns {Promise<number|null>} - Size in bytes, or null if the file isn't
+ *   gzip compressed or is too short to hold the field
+ */
+async function uncompressedSize(filePath, fileSize) {
+    if (path.extname(filePath) !== '.gz' || fileSize < 4) {
+        return null;
+    }
+
+    const file = await fs.open(filePath, 'r');
+    try {
+        const { buffer } = await file.read(Buffer.alloc(4), 0, 4, fileSize - 4);
+        return buffer.readUInt32LE(0);
+    } finally {
+        await file.close();
+    }
+}
+
+/**
+ * List available saved models (JSON and binary files, plain or compressed,
+ * no parsing)
  * @returns {Promise<Object>} - The list of models
  */
 export async function listAvailableModels() {
     return listFiles({
         directory: MODELS_DIR,
-        extensions: ['.json'],
+        extensions: ['.json', '.bin', '.json.gz', '.json.br', '.bin.gz', '.bin.br'],
         title: 'Saved Models',
         emoji: '📁',
         includeStats: true
@@ -1,21 +1,33 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
+let nextStreamId = 0;
+
 // Expose protected methods that allow the renderer process to use
 // the ipcRenderer without exposing the entire object
+const electronAPI = {
+	executeCommand: (command) => ipcRenderer.invoke('execute-command', command),
+	// Like executeCommand, but calls onEvent with each event of a streaming
+	// command before resolving with its final result
+	streamCommand: (command, onEvent) => {
+		const streamId = `stream-${++nextStreamId}`;
+		const listener = (_event, id, streamEvent) => {
+			if (id === streamId) onEvent(streamEvent);
+		};
+		ipcRenderer.on('command-event', listener);
+		return ipcRenderer
+			.invoke('execute-command', command, streamId)
+			.finally(() => ipcRenderer.removeListener('command-event', listener));
+	},
+	getManifests: () => ipcRenderer.invoke('get-manifests'),
+};
+
 try {
-	contextBridge.exposeInMainWorld('electronAPI', {
-		executeCommand: (command) => ipcRenderer.invoke('execute-command', command),
-		getManifests: () => ipcRenderer.invoke('get-manifests'),
-	});
+	contextBridge.exposeInMainWorld('electronAPI', electronAPI);
 } catch (error) {
 	console.error('Failed to expose electronAPI via contextBridge:', error);
 	// Fallback: expose directly to window (less secure, only for debugging)
 	// This should not be done in production
 	if (process.env.NODE_ENV !== 'production') {
-		window.electronAPI = {
-			executeCommand: (command) =>
-				ipcRenderer.invoke('execute-command', command),
-			getManifests: () => ipcRenderer.invoke('get-manifests'),
-		};
+		window.electronAPI = electronAPI;
 	}
 }
@@ -1,8 +1,28 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { promisify } from 'util';
+import zlib from 'zlib';
+
+// Compression of model files, by file extension
+const COMPRESSION = {
+    '.gz': {
+        name: 'gzip',
+        compress: promisify(zlib.gzip),
+        decompress: promisify(zlib.gunzip)
+    },
+    '.br': {
+        name: 'brotli',
+        compress: promisify(zlib.brotliCompress),
+        decompress: promisify(zlib.brotliDecompress)
+    }
+};
 
 /**
- * Read and parse a JSON file from the filesystem
+ * Read and parse a JSON file from the filesystem.
+ * Files that aren't JSON text, such as binary models, are returned as a
+ * Buffer for the model loader to decode. Files ending in .gz or .br are
+ * decompressed first, and a missing file is also looked for with those
+ * endings, so "model.json" finds "model.json.gz".
  * @param {Object} params - The parameters
  * @param {string} params.path - Path to JSON file
  * @returns {Promise<Object>} - Parsed JSON data
@@ -17,20 +37,28 @@ export async function returnObjectFromJSONFile(params) {
     // Resolve relative to project root (cwd)
     const absolutePath = path.resolve(process.cwd(), filePath);
     
+    let file;
     try {
-        const data = await fs.readFile(absolutePath, 'utf8');
-        const parsed = JSON.parse(data);
+        file = await readModelFile(absolutePath);
+    } catch (error) {
+        throw new Error(`Failed to read file: ${error.message}`);
+    }
+    if (!file) {
+        throw new Error(`File not found: ${filePath}`);
+    }
+
+    try {
+        const parsed = parseModelFile(file.contents);
+        await resolveModelReferences(parsed, file.filePath);
         
         return {
             success: true,
             data: parsed,
-            filePath: absolutePath,
-            size: data.length
+            filePath: file.filePath,
+            size: file.size,
+            uncompressedSize: file.contents.length
         };
     } catch (error) {
-        if (error.code === 'ENOENT') {
-            throw new Error(`File not found: ${filePath}`);
-        }
         if (error instanceof SyntaxError) {
             throw new Error(`Invalid JSON in file: ${filePath}`);
         }
@@ -38,6 +66,95 @@ export async function returnObjectFromJSONFile(params) {
     }
 }
 
+/**
+ * Read a model file, decompressing it if it is compressed
+ * @param {string} filePath - Absolute path of the file
+ * @returns {Promise<Object|null>} - The decompressed contents, the path
+ *   that was read and its size on disk, or null if there is no such file
+ */
+async function readModelFile(filePath) {
+    const candidates = compressionOf(filePath)
+        ? [filePath]
+        : [filePath, ...Object.keys(COMPRESSION).map((extension) => filePath + extension)];
+
+    for (const candidate of candidates) {
+        let bytes;
+        try {
+            bytes = await fs.readFile(candidate);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                continue;
+            }
+            throw error;
+        }
+
+        const compression = compressionOf(candidate);
+        return {
+            contents: compression ? await compression.decompress(bytes) : bytes,
+            filePath: candidate,
+            size: bytes.length
+        };
+    }
+    return null;
+}
+
+/**
+ * Find the compression a filename's extension calls for
+ * @param {string} filename - File name or path
+ * @returns {Object|null} - Entry of COMPRESSION, or null if uncompressed
+ */
+function compressionOf(filename) {
+    return COMPRESSION[path.extname(filename)] || null;
+}
+
+/**
+ * Parse file contents as JSON if they are JSON text
+ * @param {Buffer} bytes - File contents
+ * @returns {Object|Buffer} - Parsed JSON, or the bytes themselves
+ */
+function parseModelFile(bytes) {
+    const text = bytes.toString('utf8');
+    if (!/^\s*[[{]/.test(text)) {
+        return bytes;
+    }
+    return JSON.parse(text);
+}
+
+/**
+ * Embed the models a blended model refers to.
+ * Each `components[i].model` filename is read relative to the referring
+ * file and attached as `components[i].modelData`, recursively.
+ * @param {Object} data - Parsed model data, updated in place
+ * @param {string} filePath - Absolute path the data was read from
+ * @param {Set<string>} seen - Files already on the reference path
+ */
+async function resolveModelReferences(data, filePath, seen = new Set()) {
+    if (!Array.isArray(data?.components)) {
+        return;
+    }
+
+    seen.add(filePath);
+    for (const component of data.components) {
+        if (typeof component?.model !== 'string' || component.modelData) {
+            continue;
+        }
+
+        const componentPath = path.resolve(path.dirname(filePath), component.model);
+        if (seen.has(componentPath)) {
+            throw new Error(`Circular model reference: ${component.model}`);
+        }
+
+        const file = await readModelFile(componentPath);
+        if (!file) {
+            throw new Error(`Referenced model not found: ${component.model}`);
+        }
+        const componentData = parseModelFile(file.contents);
+
+        await resolveModelReferences(componentData, file.filePath, new Set(seen));
+        component.modelData = componentData;
+    }
+}
+
 /**
  * Save buffer data to corpus directory
  * @param {Object} params - The parameters
@@ -126,26 +243,98 @@ export async function returnTextFromFile(params) {
 }
 
 /**
- * Save model data to models directory as JSON
+ * Read a JSON model file and a text corpus file together
+ * @param {Object} params - The parameters
+ * @param {string} params.modelPath - Path to JSON model file
+ * @param {string} params.corpusPath - Path to text file
+ * @returns {Promise<Object>} - Parsed model data and corpus text
+ */
+export async function returnModelAndTextFromFiles(params) {
+    const { modelPath, corpusPath } = params;
+
+    const model = await returnObjectFromJSONFile({ path: modelPath });
+    const corpus = await returnTextFromFile({ path: corpusPath });
+
+    return {
+        success: true,
+        modelData: model.data,
+        data: corpus.data,  // The corpus text, as returned by getCorpus
+        modelPath: model.filePath,
+        corpusPath: corpus.filePath,
+        size: model.size + corpus.size
+    };
+}
+
+/**
+ * Read several model files from one directory, as for blending.
+ * Names without a model extension get .json, and each file is read like
+ * getModel reads it.
+ * @param {Object} params - The parameters
+ * @param {string} params.directory - Directory relative to project root
+ * @param {string[]} params.files - Model filenames in that directory
+ * @returns {Promise<Object>} - Parsed model data, in the order given
+ */
+export async function returnObjectsFromJSONFiles(params) {
+    const { directory, files } = params;
+
+    if (!Array.isArray(files) || files.length === 0) {
+        throw new Error('Files parameter is required');
+    }
+
+    const models = [];
+    for (const file of files) {
+        const filename = /\.(json|bin)(\.gz|\.br)?$/.test(file) ? file : `${file}.json`;
+        models.push(await returnObjectFromJSONFile({ path: path.join(directory || '.', filename) }));
+    }
+
+    return {
+        success: true,
+        data: models.map((model) => model.data),
+        filePaths: models.map((model) => model.filePath),
+        size: models.reduce((sum, model) => sum + model.size, 0)
+    };
+}
+
+/**
+ * Save model data to models directory as JSON.
+ * Binary data (a Buffer, e.g. a binary model) is written as is. Files are
+ * compressed when asked to or when the filename ends in .gz or .br.
  * @param {Object} params - The parameters
- * @param {Object} params.data - Model data object to save
+ * @param {Object|Buffer} params.data - Model data object to save
  * @param {string} params.filename - Target filename
+ * @param {string} params.compress - 'gzip' or 'brotli' (default: from the filename)
+ * @param {Object} params.report - What the command that made the model
+ *   reports, passed through in the result
  * @returns {Promise<Object>} - Save result
  */
 export async function saveObjectToModels(params) {
-    const { data, filename } = params;
+    const { data, filename, compress, report } = params;
+
+    const bytes = toBuffer(data);
+
+    // Split off a compression extension; `compress` picks one instead
+    let extension = compressionOf(filename) ? path.extname(filename) : '';
+    const baseName = filename.slice(0, filename.length - extension.length);
+    if (compress) {
+        extension = Object.keys(COMPRESSION).find((key) => COMPRESSION[key].name === compress);
+        if (!extension) {
+            throw new Error(`Unknown compression: ${compress}`);
+        }
+    }
+    const compression = COMPRESSION[extension];
+    const safeFilename = (bytes || baseName.endsWith('.json') ? baseName : `${baseName}.json`) + extension;
 
     const modelsDir = './data/models';
-    const safeFilename = filename.endsWith('.json') ? filename : `${filename}.json`;
     const fullPath = path.resolve(process.cwd(), modelsDir, safeFilename);
 
     try {
         // Ensure directory exists
         await fs.mkdir(modelsDir, { recursive: true });
         
-        // Convert to JSON and write file
-        const jsonString = JSON.stringify(data, null, 2);
-        await fs.writeFile(fullPath, jsonString, 'utf8');
+        // Write bytes as they are, anything else as JSON
+        const contents = bytes || Buffer.from(JSON.stringify(data, null, 2), 'utf8');
+        const written = compression ? await compression.compress(contents) : contents;
+        await fs.writeFile(fullPath, written);
         const stats = await fs.stat(fullPath);
         
         return {
@@ -153,9 +342,27 @@ export async function saveObjectToModels(params) {
             filename: safeFilename,
             path: fullPath,
             size: stats.size,
-            bytesWritten: jsonString.length
+            uncompressedSize: contents.length,
+            bytesWritten: written.length,
+            report
         };
     } catch (error) {
         throw new Error(`Failed to save model: ${error.message}`);
     }
+}
+
+/**
+ * View data as a Buffer if it holds bytes
+ * @param {*} data - Data to save
+ * @returns {Buffer|null} - The bytes, or null for other data
+ */
+function toBuffer(data) {
+    if (data instanceof Uint8Array) {
+        return Buffer.from(data.buffer, data.byteOffset, data.length);
+    }
+    // A Buffer that went through JSON on its way here
+    if (data?.type === 'Buffer' && Array.isArray(data.data)) {
+        return Buffer.from(data.data);
+    }
+    return null;
 }
\ No newline at end of file
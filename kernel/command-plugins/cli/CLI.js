@@ -30,7 +30,10 @@ export class CLI {
 		// Execute command
 		const input = args.join(' ');
 		try {
-			const result = await this.vertex.executeCommand(input);
+			// Streaming commands print their final result
+			const result = await Vertex.settle(
+				await this.vertex.executeCommand(input),
+			);
 			console.log(result);
 		} catch (err) {
 			console.error(`❌ ${err}`);
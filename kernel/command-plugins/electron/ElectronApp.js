@@ -1,6 +1,7 @@
 import { app, BrowserWindow, ipcMain } from 'electron';
 import fs from 'fs';
 import path from 'path';
+import { Vertex } from 'vertex-kernel';
 
 /**
  * Manages the UI for the Electron application, including checking and loading
@@ -95,9 +96,23 @@ export class ElectronApp {
 	}
 
 	setupIPC() {
-		ipcMain.handle('execute-command', async (event, command) => {
+		ipcMain.handle('execute-command', async (event, command, streamId) => {
 			const result = await this.vertex.executeCommand(command);
-			return result;
+			if (!Vertex.isStream(result)) {
+				return result;
+			}
+
+			// Streams can't cross IPC: send each event to the renderer as it
+			// arrives and resolve with the final result
+			let finalResult;
+			for await (const streamEvent of result) {
+				if (streamEvent?.type === 'result') {
+					finalResult = streamEvent.result;
+				} else if (streamId && !event.sender.isDestroyed()) {
+					event.sender.send('command-event', streamId, streamEvent);
+				}
+			}
+			return finalResult;
 		});
 	}
 
@@ -1,6 +1,7 @@
 import { URL } from 'url';
 import http from 'http';
 import busboy from 'busboy';
+import { Vertex } from 'vertex-kernel';
 import { StaticServer } from './StaticServer.js';
 
 export class HTTPServer {
@@ -30,6 +31,12 @@ export class HTTPServer {
 					return;
 				}
 
+				// Server-Sent Events for streaming commands
+				if (req.url.split('?')[0] === `${this.apiEndpoint}/stream`) {
+					await this.handleStreamRequest(req, res);
+					return;
+				}
+
 				// Route to API endpoint if matches
 				if (req.url.startsWith(this.apiEndpoint)) {
 					await this.handleAPIRequest(req, res);
@@ -82,7 +89,7 @@ export class HTTPServer {
 					try {
 						// Parse JSON command object
 						const result = await this.vertex.executeCommand(commandString);
-						this.sendSuccessResponse(res, result);
+						await this.sendSuccessResponse(res, result);
 					} catch (err) {
 						this.sendErrorResponse(res, err, 500);
 					}
@@ -109,7 +116,7 @@ export class HTTPServer {
 						if (commandString) {
 							try {
 								const result = await this.vertex.executeCommand(commandString);
-								this.sendSuccessResponse(res, result);
+								await this.sendSuccessResponse(res, result);
 							} catch (err) {
 								this.sendErrorResponse(res, err, 500);
 							}
@@ -138,6 +145,63 @@ export class HTTPServer {
 		}
 	}
 
+	/**
+	 * Run a command and send its events as Server-Sent Events: `progress`,
+	 * `start` and `token` events as they happen, then one `result` (or
+	 * `error`) event. Commands that declare a `stream` parameter stream;
+	 * others send their result alone. A client that disconnects stops a
+	 * streaming command at its next event.
+	 * @param {http.IncomingMessage} req - GET request with a `command` parameter
+	 * @param {http.ServerResponse} res - Response to write events to
+	 */
+	async handleStreamRequest(req, res) {
+		if (req.method !== 'GET') {
+			return this.sendErrorResponse(res, 'Method not allowed', 405);
+		}
+
+		const parsedUrl = new URL(req.url, `http://${req.headers.host}`);
+		const commandString =
+			parsedUrl.searchParams.get('command') ||
+			parsedUrl.searchParams.get('json');
+		if (!commandString) {
+			return this.sendErrorResponse(res, "Missing 'command' parameter", 400);
+		}
+
+		res.writeHead(200, {
+			'Content-Type': 'text/event-stream',
+			'Cache-Control': 'no-cache',
+			Connection: 'keep-alive',
+		});
+
+		let disconnected = false;
+		res.on('close', () => {
+			disconnected = true;
+		});
+
+		const sendEvent = (event) =>
+			res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+
+		try {
+			const result = await this.vertex.executeCommand(commandString, {
+				stream: true,
+			});
+			if (Vertex.isStream(result)) {
+				for await (const event of result) {
+					// Leaving the loop ends the command's stream
+					if (disconnected) break;
+					sendEvent(event);
+				}
+			} else if (!disconnected) {
+				sendEvent({ type: 'result', result });
+			}
+		} catch (err) {
+			if (!disconnected) {
+				sendEvent({ type: 'error', error: err.message });
+			}
+		}
+		res.end();
+	}
+
 	async handleMultipartRequest(req, res) {
 		return new Promise((resolve, reject) => {
 			const bb = busboy({
@@ -215,7 +279,7 @@ export class HTTPServer {
 
 					try {
 						const result = await this.vertex.executeCommand(command);
-						this.sendSuccessResponse(res, result);
+						await this.sendSuccessResponse(res, result);
 					} catch (err) {
 						this.sendErrorResponse(res, err, 500);
 					}
@@ -245,10 +309,36 @@ export class HTTPServer {
 	}
 
 	sendSuccessResponse(res, result) {
+		if (Vertex.isStream(result)) {
+			return this.sendStreamResponse(res, result);
+		}
 		res.writeHead(200, { 'Content-Type': 'application/json' }); // more content types later
 		res.end(JSON.stringify(result));
 	}
 
+	/**
+	 * Relay a streaming command as newline-delimited JSON, one event per line,
+	 * ending with its `result` event (or an `error` event if it fails midway)
+	 * @param {http.ServerResponse} res - Response to write to
+	 * @param {AsyncIterable<Object>} stream - Command events
+	 */
+	async sendStreamResponse(res, stream) {
+		res.writeHead(200, {
+			'Content-Type': 'application/x-ndjson',
+			'Cache-Control': 'no-cache',
+		});
+		try {
+			for await (const event of stream) {
+				// Client went away; leaving the loop ends the command's stream
+				if (res.destroyed) break;
+				res.write(JSON.stringify(event) + '\n');
+			}
+		} catch (err) {
+			res.write(JSON.stringify({ type: 'error', error: err.message }) + '\n');
+		}
+		res.end();
+	}
+
 	sendErrorResponse(res, error, statusCode = 400) {
 		res.writeHead(statusCode, { 'Content-Type': 'application/json' });
 		res.end(JSON.stringify(error.message || error));
@@ -76,7 +76,10 @@ export class REPL {
 
 			// Everything else gets executed as a command
 			try {
-				const result = await this.vertex.executeCommand(input);
+				// Streaming commands print their final result
+				const result = await Vertex.settle(
+					await this.vertex.executeCommand(input),
+				);
 				console.log(result);
 			} catch (err) {
 				console.error(`❌ ${err}`);
@@ -3,6 +3,7 @@ import { Required } from './processors/Required.js';
 import { Type } from './processors/Type.js';
 import { Default } from './processors/Default.js';
 import { Template } from './processors/Template.js';
+import { isStream } from './utils/stream.js';
 
 export class Router {
   static properties = ['next']; // Handles command chaining
@@ -33,34 +34,66 @@ export class Router {
       // Execute current command
       const result = await baseExecutor(command, commandSpec);
       
-      // Build template context for chaining
-      const templateContext = {
-        input: command.args,
-        output: result,
-        original: originalCommand.args,
-        originalCommand: originalCommand.name,
+      const chain = async (output) => {
+        // Build template context for chaining
+        const templateContext = {
+          input: command.args,
+          output,
+          original: originalCommand.args,
+          originalCommand: originalCommand.name,
+        };
+        
+        // Check for next command in chain
+        let nextCommand = null;
+        if (commandSpec?.next) {
+          nextCommand = this.constructNextCommand(commandSpec.next, templateContext);
+        }
+        
+        // Recursive chaining
+        if (nextCommand) {
+          const nextCommandSpec = Parser.getSpec(nextCommand, manifest, true);
+          if (!nextCommandSpec) {
+            throw new Error(`Unknown next command: ${nextCommand.name}`);
+          }
+          
+          // Recursively execute with the SAME executor (maintaining controller chain)
+          const chainedExecutor = this.createExecutor(handler, manifest, options);
+          return await chainedExecutor(nextCommand, nextCommandSpec, originalCommand);
+        }
+        
+        return output;
       };
       
-      // Check for next command in chain
-      let nextCommand = null;
-      if (commandSpec?.next) {
-        nextCommand = this.constructNextCommand(commandSpec.next, templateContext);
+      // A streaming command mid-chain: the next command waits for its result
+      if (commandSpec?.next && isStream(result)) {
+        return this.chainStream(result, chain);
       }
       
-      // Recursive chaining
-      if (nextCommand) {
-        const nextCommandSpec = Parser.getSpec(nextCommand, manifest, true);
-        if (!nextCommandSpec) {
-          throw new Error(`Unknown next command: ${nextCommand.name}`);
-        }
-        
-        // Recursively execute with the SAME executor (maintaining controller chain)
-        const chainedExecutor = this.createExecutor(handler, manifest, options);
-        return await chainedExecutor(nextCommand, nextCommandSpec, originalCommand);
+      return await chain(result);
+    };
+  }
+
+  /**
+   * Relay a stream's events, then continue the chain with its final result
+   * @param {AsyncIterable<Object>} stream - Events ending with {type: 'result', result}
+   * @param {Function} chain - Runs the rest of the chain on a result
+   * @returns {AsyncGenerator<Object>} - The events, then the chain's own
+   *   events or result
+   */
+  static async *chainStream(stream, chain) {
+    for await (const event of stream) {
+      if (event?.type !== 'result') {
+        yield event;
+        continue;
       }
       
-      return result;
-    };
+      const next = await chain(event.result);
+      if (isStream(next)) {
+        yield* next;
+      } else {
+        yield { type: 'result', result: next };
+      }
+    }
   }
 
   static constructNextCommand(nextConfig, contexts) {
@@ -1,6 +1,7 @@
 import { Handler } from './Handler.js';
 import { loadManifest } from './loaders/manifestLoader.js';
 import { HelpHandler } from './utils/help.js';
+import { isStream } from './utils/stream.js';
 
 // Processor imports
 import { Parser } from './processors/Parser.js';
@@ -43,7 +44,16 @@ export class Vertex {
     return executor;
   }
   
-  async executeCommand(input) {
+  /**
+   * Execute a command
+   * @param {string|Object} input - Command string or {name, args} object
+   * @param {Object} options - Execution options
+   * @param {boolean} options.stream - Turn streaming on for commands that
+   *   declare a `stream` parameter (for transports that relay streams)
+   * @returns {Promise<*>} - The command result, or an async iterable of
+   *   events for streaming commands (see relayStream)
+   */
+  async executeCommand(input, options = {}) {
     let context = { input, manifest: this.manifest };
     
     // FULL PRE-PROCESS (Vertex's complete pipeline)
@@ -51,9 +61,21 @@ export class Vertex {
       context = await processor.preProcess(context);
     }
     
+    if (options.stream && context.commandSpec?.parameters?.stream) {
+      context.command = {
+        ...context.command,
+        args: { ...context.command.args, stream: true },
+      };
+    }
+    
     // EXECUTE (through controller chain - includes focused preprocessing)
     context.result = await this.executor(context.command, context.commandSpec);
     
+    // STREAMING commands return an async iterable of events instead
+    if (Vertex.isStream(context.result)) {
+      return this.relayStream(context);
+    }
+    
     // FULL POST-PROCESS  
     for (const processor of this.postProcessors) {
       context = await processor.postProcess(context);
@@ -62,6 +84,51 @@ export class Vertex {
     return context.result;
   }
 
+  /**
+   * Whether a command result is a stream of events
+   * @param {*} result - Command result
+   * @returns {boolean}
+   */
+  static isStream(result) {
+    return isStream(result);
+  }
+
+  /**
+   * Resolve a command result to its final value, running any stream to its end
+   * @param {*} result - Command result
+   * @returns {Promise<*>} - The stream's final result, or the result itself
+   */
+  static async settle(result) {
+    if (!Vertex.isStream(result)) return result;
+    let final;
+    for await (const event of result) {
+      if (event?.type === 'result') final = event.result;
+    }
+    return final;
+  }
+
+  /**
+   * Relay a streaming command's events. Its last event, `{type: 'result',
+   * result}`, goes through the post-processors like any other command result.
+   * Ending the iteration early ends the command's own iterator.
+   * @param {Object} context - Execution context with the stream as result
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *relayStream(context) {
+    for await (const event of context.result) {
+      if (event?.type !== 'result') {
+        yield event;
+        continue;
+      }
+
+      let finalContext = { ...context, result: event.result };
+      for (const processor of this.postProcessors) {
+        finalContext = await processor.postProcess(finalContext);
+      }
+      yield { ...event, result: finalContext.result };
+    }
+  }
+
 	createProcessors(phase, options) {
 	const ProcessorClasses = {
 		pre: [Parser, State, Required, Default, Type],
@@ -0,0 +1,9 @@
+/**
+ * Whether a command result is a stream of events (an async iterable whose
+ * last event is `{type: 'result', result}`)
+ * @param {*} result - Command result
+ * @returns {boolean}
+ */
+export function isStream(result) {
+	return typeof result?.[Symbol.asyncIterator] === 'function';
+}
@@ -0,0 +1,63 @@
+import { ModelSerializer } from '../io/ModelSerializer.js';
+import { BlendModel } from '../models/index.js';
+
+/**
+ * Describe a weighted blend of saved models, after checking that the models
+ * can be blended
+ * @param {Object} params - The parameters for blending
+ * @param {string[]} params.models - Model files to blend
+ * @param {number[]} params.weights - Relative weight of each model (default: equal)
+ * @param {string} params.modelName - Filename to save the blend as
+ * @param {Array<Object>} params.modelData - Model data of each model, in the
+ *   order of `models`
+ * @returns {Promise<Object>} - Blend data (references plus weights) and filename
+ */
+export async function blendModels(params) {
+	const { models, weights, modelName, modelData } = params || {};
+
+	if (!Array.isArray(models) || models.length < 2) {
+		throw new Error('Blend failed: at least two models are required');
+	}
+	if (!modelName) {
+		throw new Error('Blend failed: modelName parameter is required');
+	}
+	if (!Array.isArray(modelData) || modelData.length !== models.length) {
+		throw new Error('Blend failed: the blended models have not been loaded');
+	}
+
+	const modelWeights = (weights || models.map(() => 1)).map(Number);
+	if (modelWeights.length !== models.length) {
+		throw new Error(
+			`Blend failed: got ${modelWeights.length} weights for ${models.length} models`,
+		);
+	}
+
+	const totalWeight = modelWeights.reduce((sum, w) => sum + w, 0);
+	const components = models.map((model, i) => ({
+		model: /\.(json|bin)(\.gz|\.br)?$/.test(model) ? model : `${model}.json`,
+		weight: modelWeights[i] / totalWeight,
+	}));
+
+	const blend = { modelType: BlendModel.modelType, components };
+	BlendModel.validateJSON(blend);
+
+	// Loading the blend checks that every model can be blended and that they
+	// all tokenize alike, so a blend that can't generate is never saved
+	await new ModelSerializer().loadModel({
+		...blend,
+		components: components.map((component, i) => ({
+			...component,
+			modelData: modelData[i],
+		})),
+	});
+
+	let filename = modelName;
+	if (!filename.endsWith('.json')) {
+		filename += '.json';
+	}
+
+	return {
+		model: blend,
+		filename: filename,
+	};
+}
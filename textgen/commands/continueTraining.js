@@ -0,0 +1,48 @@
+import { ModelSerializer } from '../io/ModelSerializer.js';
+import {
+	runSteps,
+	serializeStep,
+	streamSteps,
+	trainingProgress,
+} from './progress.js';
+
+/**
+ * Continue training a saved model on additional corpus text
+ * @param {Object} params - The parameters for training
+ * @param {Object} params.modelData - Model data object to extend
+ * @param {string} params.file - Additional corpus text
+ * @param {string} params.modelName - Filename the extended model is saved under
+ * @param {string} params.format - Save format: json, or binary (saved as
+ *   .bin); default: the format the model was loaded from
+ * @param {boolean} params.stream - Return an async iterator of progress
+ *   events ending with the result instead of the result
+ * @returns {Promise<Object>} - The extended model and its filename
+ */
+export async function continueTrainingModel(params) {
+	const { modelData, file, modelName, stream = false } = params || {};
+
+	if (!file) {
+		throw new Error('Training failed: file parameter is required');
+	}
+
+	const serializer = new ModelSerializer();
+	const format = params.format || serializer.detectFormat(modelData);
+	const filename = serializer.withExtension(modelName, format);
+	const model = await serializer.loadModel(modelData);
+
+	const result = {
+		model: model,
+		filename: filename,
+	};
+	const steps = serializeStep(
+		trainingProgress(model, model.tokenizeCorpus(file), { incremental: true }),
+		result,
+		serializer,
+		format,
+	);
+	if (stream) {
+		return streamSteps(steps, result);
+	}
+	runSteps(steps);
+	return result;
+}
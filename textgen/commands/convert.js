@@ -0,0 +1,22 @@
+import { ModelSerializer } from '../io/ModelSerializer.js';
+
+/**
+ * Save a model in another format
+ * @param {Object} params - The parameters for conversion
+ * @param {Object} params.modelData - Model data object to convert
+ * @param {string} params.modelName - Filename the model was loaded from
+ * @param {string} params.format - Format to save in: json or binary
+ * @returns {Promise<Object>} - The serialized model and its new filename
+ */
+export async function convertModel(params) {
+	const { modelData, modelName, format } = params || {};
+
+	const serializer = new ModelSerializer();
+	const filename = serializer.withExtension(modelName, format);
+	const model = await serializer.loadModel(modelData);
+
+	return {
+		model: serializer.serialize(model, format),
+		filename: filename,
+	};
+}
@@ -0,0 +1,46 @@
+import { tagText } from './tag.js';
+
+// Longest line of aligned output before it wraps
+const LINE_WIDTH = 80;
+
+/**
+ * Find the most likely hidden state of each token and show it under the token
+ * @param {Object} params - The parameters for decoding
+ * @param {Object} params.modelData - Model data object to decode with (HMM)
+ * @param {string} params.text - Text to decode
+ * @returns {Promise<Object>} - Token/state pairs, and the text with each
+ *   state aligned under its token
+ */
+export async function decodeText(params) {
+	const { tags } = await tagText(params);
+	return {
+		tags,
+		aligned: align(tags),
+	};
+}
+
+/**
+ * Lay tokens out on one line and their states on the next, each column as
+ * wide as the longer of the two, wrapping at LINE_WIDTH
+ * @param {Array<{token: string, tag: string}>} tags - Token/state pairs
+ * @returns {string}
+ */
+function align(tags) {
+	const blocks = [];
+	let tokens = '';
+	let states = '';
+
+	for (const { token, tag } of tags) {
+		const width = Math.max(token.length, tag.length);
+		if (tokens && tokens.length + width > LINE_WIDTH) {
+			blocks.push(`${tokens.trimEnd()}\n${states.trimEnd()}`);
+			tokens = '';
+			states = '';
+		}
+		tokens += token.padEnd(width) + ' ';
+		states += tag.padEnd(width) + ' ';
+	}
+	blocks.push(`${tokens.trimEnd()}\n${states.trimEnd()}`);
+
+	return blocks.join('\n\n');
+}
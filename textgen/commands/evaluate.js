@@ -0,0 +1,91 @@
+import { ModelSerializer } from '../io/ModelSerializer.js';
+
+/**
+ * Evaluate a trained model on held-out text
+ * @param {Object} params - The parameters for evaluation
+ * @param {Object} params.modelData - Model data object to evaluate
+ * @param {string} params.file - Held-out corpus text
+ * @returns {Promise<Object>} - Cross-entropy, perplexity, OOV rate and coverage
+ */
+export async function evaluateModel(params) {
+	const { modelData, file } = params || {};
+
+	if (!file) {
+		throw new Error('Evaluation failed: file parameter is required');
+	}
+
+	const serializer = new ModelSerializer();
+	const model = await serializer.loadModel(modelData);
+	return evaluateTokens(model, model.tokenizeText(file));
+}
+
+/**
+ * Score a model on held-out tokens. In-vocabulary tokens the model gives no
+ * probability are charged a uniform guess over its vocabulary, so a model
+ * that predicts fewer tokens can't score a lower perplexity for it.
+ * @param {TextModel} model - Trained model
+ * @param {string[]} tokens - Held-out tokens, tokenized as for training
+ * @returns {Object} - Cross-entropy, perplexity, OOV rate and coverage
+ */
+export function evaluateTokens(model, tokens) {
+	const scores = model.scoreSequence(tokens);
+	const floorProbability = 1 / Math.max(model.getStats().vocabularySize, 1);
+
+	let oovTokens = 0;
+	let zeroProbabilityTokens = 0;
+	let predictedInVocabulary = 0;
+	let totalBits = 0;
+	const contextLengths = new Map();
+
+	for (const { probability, oov, contextLength } of scores) {
+		if (oov) {
+			oovTokens++;
+			continue;
+		}
+
+		if (contextLength !== undefined) {
+			const key = contextLength ?? 'none';
+			contextLengths.set(key, (contextLengths.get(key) || 0) + 1);
+		}
+
+		if (probability > 0) {
+			predictedInVocabulary++;
+			totalBits -= Math.log2(probability);
+		} else {
+			zeroProbabilityTokens++;
+			totalBits -= Math.log2(floorProbability);
+		}
+	}
+
+	const round = (value) => Number(value.toFixed(4));
+	const inVocabularyTokens = scores.length - oovTokens;
+	const crossEntropy =
+		inVocabularyTokens > 0 ? totalBits / inVocabularyTokens : null;
+
+	const result = {
+		modelType: model.modelType,
+		tokens: tokens.length,
+		predictedTokens: scores.length,
+		oovTokens,
+		oovRate: scores.length > 0 ? round(oovTokens / scores.length) : 0,
+		zeroProbabilityTokens,
+		coverage:
+			inVocabularyTokens > 0
+				? round(predictedInVocabulary / inVocabularyTokens)
+				: 0,
+		crossEntropy: crossEntropy === null ? null : round(crossEntropy),
+		perplexity: crossEntropy === null ? null : round(2 ** crossEntropy),
+	};
+
+	if (contextLengths.size > 0) {
+		// Share of in-vocabulary tokens predicted from each context length
+		result.contextCoverage = Object.fromEntries(
+			Array.from(contextLengths.entries()).map(([length, count]) => [
+				length,
+				round(count / inVocabularyTokens),
+			]),
+		);
+	}
+
+	return result;
+}
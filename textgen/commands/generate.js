@@ -1,5 +1,6 @@
 import { ModelSerializer } from '../io/ModelSerializer.js';
 import { GenerationContext } from '../models/Interfaces.js';
+import { beamSearch } from '../models/BeamSearch.js';
 
 /**
  * Generate text from a trained model
@@ -8,22 +9,63 @@ import { GenerationContext } from '../models/Interfaces.js';
  * @param {number} params.length - Maximum number of tokens to generate
  * @param {number} params.min_tokens - Minimum number of tokens to generate
  * @param {number} params.temperature - Randomness factor (0-2)
+ * @param {number} params.top_k - Sample from the k most likely tokens (0: all)
+ * @param {number} params.top_p - Nucleus sampling: keep the most likely tokens up to this mass
+ * @param {number} params.min_p - Drop tokens below this fraction of the top token's probability
+ * @param {number} params.typical_p - Locally typical sampling mass
+ * @param {string} params.decoding - 'sample' (default) or 'beam'
+ * @param {number} params.beam_width - Beam search: hypotheses kept per step
+ * @param {number} params.length_penalty - Beam search: length normalization exponent
+ * @param {number} params.return_beams - Beam search: number of beams to return
  * @param {string} params.prompt - Starting text for generation
- * @param {Array} params.stop - Stop tokens that end generation
+ * @param {Array} params.stop - Stop sequences that end generation
+ * @param {string[]} params.stop_patterns - Regular expressions that end generation
+ * @param {number} params.max_sentences - Sentences to generate before stopping
+ * @param {number} params.max_paragraphs - Paragraphs to generate before stopping
+ * @param {string} params.detokenizer - Detokenizer rule set for this call (default: the model's)
+ * @param {string[]} params.include - Words that must appear
+ * @param {string[]} params.exclude - Words that must never appear
  * @param {number} params.samples - Number of samples to generate
  * @param {boolean} params.allowRepetition - Allow immediate token repetition
+ * @param {number} params.seed - Seed for reproducible output (random when omitted)
+ * @param {boolean} params.stream - Return an async iterator of generation
+ *   events (see TextModel.generateEvents) instead of the finished result
  * @returns {Promise<Object>} - The generation results as pure data
  */
 export async function generateText(params) {
-	const { modelData, length = 100, temperature = 1.0, samples = 1, ...rest } = params || {};
-    const serializer = new ModelSerializer();
-    const model = await serializer.loadModel(modelData);
+	const {
+		modelData,
+		length = 100,
+		temperature = 1.0,
+		samples = 1,
+		stream = false,
+		...rest
+	} = params || {};
+	const serializer = new ModelSerializer();
+	const model = await serializer.loadModel(modelData);
 	const context = new GenerationContext({
 		max_tokens: length,
 		temperature: temperature,
 		...rest,
 	});
+	if (context.decoding === 'beam') {
+		const result = beamSearch(model, context);
+		// Beams are only known once the search ends, so their stream is the result alone
+		return stream ? streamResult(result) : result;
+	}
+	if (stream) {
+		return model.stream(context);
+	}
 	const result = model.generate(context);
 	// Return pure data object
-	return result
-}
\ No newline at end of file
+	return result;
+}
+
+/**
+ * Stream holding only a finished result
+ * @param {GenerationResult} result - Finished result
+ * @yields {{type: 'result', result: GenerationResult}}
+ */
+async function* streamResult(result) {
+	yield { type: 'result', result };
+}
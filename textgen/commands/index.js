@@ -1,3 +1,12 @@
 // Core text generation functions
 export * from './train.js';
 export * from './generate.js';
+export * from './evaluate.js';
+export * from './continueTraining.js';
+export * from './blend.js';
+export * from './infill.js';
+export * from './convert.js';
+export * from './prune.js';
+export * from './tag.js';
+export * from './inspectHMM.js';
+export * from './decode.js';
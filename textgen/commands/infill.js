@@ -0,0 +1,26 @@
+import { ModelSerializer } from '../io/ModelSerializer.js';
+import { infill } from '../models/Infill.js';
+
+/**
+ * Generate a bridge between a prefix and a suffix
+ * @param {Object} params - The parameters for infilling
+ * @param {Object} params.modelData - Model data object to use
+ * @param {string} params.prefix - Text before the gap
+ * @param {string} params.suffix - Text after the gap
+ * @param {number} params.length - Maximum number of tokens in the bridge
+ * @param {number} params.beam_width - Bridges kept at each search step
+ * @param {number} params.length_penalty - Length normalization exponent
+ * @param {number} params.return_beams - Number of best bridges to return
+ * @returns {Promise<Object>} - The infilled text as pure data
+ */
+export async function infillText(params) {
+	const { modelData, prefix, suffix, length = 20, ...rest } = params || {};
+
+	if (!prefix || !suffix) {
+		throw new Error('Infill failed: prefix and suffix are required');
+	}
+
+	const serializer = new ModelSerializer();
+	const model = await serializer.loadModel(modelData);
+	return infill(model, { prefix, suffix, max_tokens: length, ...rest });
+}
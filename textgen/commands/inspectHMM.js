@@ -0,0 +1,62 @@
+import { ModelSerializer } from '../io/ModelSerializer.js';
+
+/**
+ * Show what each hidden state of an HMM stands for
+ * @param {Object} params - The parameters for inspection
+ * @param {Object} params.modelData - Model data object to inspect (HMM)
+ * @param {number} params.top - Emitted tokens and successor states to list per state (default: 10)
+ * @returns {Promise<Object>} - Each state's top emissions, top successors and
+ *   initial probability, plus a readable summary
+ */
+export async function inspectHMM(params) {
+	const { modelData, top = 10 } = params || {};
+
+	if (!Number.isInteger(top) || top < 1) {
+		throw new Error('top must be a positive integer');
+	}
+
+	const serializer = new ModelSerializer();
+	const model = await serializer.loadModel(modelData);
+
+	const round = (value) => Number(value.toFixed(4));
+	const states = model.describeStates(top).map((state) => ({
+		state: state.state,
+		initial: round(state.initial),
+		emissions: state.emissions.map(({ token, probability }) => ({
+			token,
+			probability: round(probability),
+		})),
+		successors: state.successors.map(({ state, probability }) => ({
+			state,
+			probability: round(probability),
+		})),
+	}));
+
+	return {
+		modelType: model.modelType,
+		numStates: states.length,
+		states,
+		summary: summarize(states),
+	};
+}
+
+/**
+ * One paragraph per state: its initial probability, then what it emits and
+ * where it goes next
+ * @param {Array<Object>} states - Rounded state descriptions
+ * @returns {string}
+ */
+function summarize(states) {
+	const list = (entries, key) =>
+		entries.map((entry) => `${entry[key]} ${entry.probability}`).join(', ');
+
+	return states
+		.map(({ state, initial, emissions, successors }) =>
+			[
+				`${state} (initial ${initial})`,
+				`  emits: ${list(emissions, 'token')}`,
+				`  next:  ${list(successors, 'state')}`,
+			].join('\n'),
+		)
+		.join('\n\n');
+}
@@ -0,0 +1,69 @@
+/**
+ * Progress reporting for long-running commands.
+ *
+ * Work is written as a generator of `{type: 'progress', ...}` events. Run
+ * normally, the command drains it and returns its result; asked to stream,
+ * it returns the events as an async iterator ending with
+ * `{type: 'result', result}`, so transports can relay them and stop the work
+ * by ending the iteration.
+ */
+
+/**
+ * Progress of training a model on tokens
+ * @param {TextModel} model - Model to train
+ * @param {string[]|Array<Array>} tokens - Training tokens, or sentences of them
+ * @param {Object} options - Options for model.trainSteps()
+ * @yields {{type: 'progress', stage: 'train', tokens: number}} - Plus the
+ *   model's own step fields, e.g. iteration and iterations for HMMs
+ */
+export function* trainingProgress(model, tokens, options = {}) {
+	const count = tokens.some(Array.isArray)
+		? tokens.reduce((sum, sentence) => sum + sentence.length, 0)
+		: tokens.length;
+	yield { type: 'progress', stage: 'train', tokens: count };
+	for (const step of model.trainSteps(tokens, options)) {
+		yield { type: 'progress', stage: 'train', tokens: count, ...step };
+	}
+}
+
+/**
+ * Serialize the trained model into the result once training is done
+ * @param {Iterable<Object>} steps - Training progress events
+ * @param {{model: TextModel}} result - Command result; its model is
+ *   replaced by the serialized model
+ * @param {ModelSerializer} serializer - Serializer to save with
+ * @param {string} format - Save format
+ * @yields {Object}
+ */
+export function* serializeStep(steps, result, serializer, format) {
+	yield* steps;
+	yield { type: 'progress', stage: 'serialize', format };
+	result.model = serializer.serialize(result.model, format);
+}
+
+/**
+ * Do all the work of a progress generator
+ * @param {Iterable<Object>} steps - Progress events
+ */
+export function runSteps(steps) {
+	const iterator = steps[Symbol.iterator]();
+	let step = iterator.next();
+	while (!step.done) {
+		step = iterator.next();
+	}
+}
+
+/**
+ * Stream the events of a progress generator, then the command result
+ * @param {Iterable<Object>} steps - Progress events
+ * @param {*} result - Command result, complete once the steps are
+ * @yields {Object}
+ */
+export async function* streamSteps(steps, result) {
+	for (const step of steps) {
+		yield step;
+		// Let the transport send the event, and the consumer stop early
+		await new Promise((resolve) => setImmediate(resolve));
+	}
+	yield { type: 'result', result };
+}
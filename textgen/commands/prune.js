@@ -0,0 +1,89 @@
+import { ModelSerializer } from '../io/ModelSerializer.js';
+import { getPruneOptions } from '../models/Pruning.js';
+import { evaluateTokens } from './evaluate.js';
+
+/**
+ * Shrink a saved model by dropping rare or uninformative contexts
+ * @param {Object} params - The parameters for pruning
+ * @param {Object} params.modelData - Model data object to prune
+ * @param {string} params.file - Held-out corpus text to measure perplexity on
+ * @param {string} params.modelName - Filename the model was loaded from
+ * @param {string} params.saveAs - Filename for the pruned model (default: modelName)
+ * @param {number} params.minCount - Drop transitions seen fewer times
+ * @param {number} params.maxStates - Contexts kept per context length
+ * @param {number} params.klThreshold - Drop contexts worth fewer bits of
+ *   likelihood than this over their backoff context (ngram, vlmm)
+ * @returns {Promise<Object>} - The pruned model, its filename and a report
+ *   of size and perplexity before and after
+ */
+export async function pruneModel(params) {
+	const { modelData, file, modelName, saveAs, ...options } = params || {};
+
+	if (!file) {
+		throw new Error('Pruning failed: file parameter is required');
+	}
+
+	const { minCount, maxStates, klThreshold } = getPruneOptions(options);
+	if (minCount === 1 && maxStates === null && klThreshold === 0) {
+		throw new Error('Pruning failed: give minCount, maxStates or klThreshold');
+	}
+
+	const serializer = new ModelSerializer();
+	const format = serializer.detectFormat(modelData);
+	const filename = serializer.withExtension(saveAs || modelName, format);
+	const model = await serializer.loadModel(modelData);
+	if (!model.getCapabilities().supportsPruning) {
+		throw new Error(
+			`Pruning failed: ${model.modelType} models do not support pruning`,
+		);
+	}
+
+	const tokens = model.tokenizeText(file);
+	const before = measure(model, tokens, serializer, format);
+	model.prune({ minCount, maxStates, klThreshold });
+
+	// Don't overwrite a working model with one nothing can be generated from
+	const { contexts, startStates } = model.getSize();
+	if (contexts === 0 || startStates === 0) {
+		throw new Error(
+			`Pruning failed: these settings leave no ${contexts === 0 ? 'contexts' : 'start states'}; lower minCount or klThreshold, or raise maxStates`,
+		);
+	}
+	const after = measure(model, tokens, serializer, format);
+
+	return {
+		model: after.serialized,
+		filename: filename,
+		report: {
+			modelType: model.modelType,
+			before: before.report,
+			after: after.report,
+		},
+	};
+}
+
+/**
+ * Size and held-out scores of a model
+ * @param {TextModel} model - Model to measure
+ * @param {string[]} tokens - Held-out tokens
+ * @param {ModelSerializer} serializer - Serializer the model is saved with
+ * @param {string} format - Save format
+ * @returns {{serialized: Object|Buffer, report: Object}} - The serialized
+ *   model, and its contexts, transitions, start states, bytes, perplexity
+ *   and coverage
+ */
+function measure(model, tokens, serializer, format) {
+	const serialized = serializer.serialize(model, format);
+	const { perplexity, coverage } = evaluateTokens(model, tokens);
+	return {
+		serialized,
+		report: {
+			...model.getSize(),
+			bytes: Buffer.isBuffer(serialized)
+				? serialized.length
+				: Buffer.byteLength(JSON.stringify(serialized)),
+			perplexity,
+			coverage,
+		},
+	};
+}
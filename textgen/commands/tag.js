@@ -0,0 +1,28 @@
+import { ModelSerializer } from '../io/ModelSerializer.js';
+
+/**
+ * Tag text with the most likely hidden state of each token
+ * @param {Object} params - The parameters for tagging
+ * @param {Object} params.modelData - Model data object to tag with (HMM)
+ * @param {string} params.text - Text to tag
+ * @returns {Promise<Object>} - Token/tag pairs, and the text as word/TAG tokens
+ */
+export async function tagText(params) {
+	const { modelData, text } = params || {};
+
+	if (!text || !text.trim()) {
+		throw new Error('Tagging failed: text parameter is required');
+	}
+
+	const serializer = new ModelSerializer();
+	const model = await serializer.loadModel(modelData);
+	if (!model.getCapabilities().supportsTagging) {
+		throw new Error(`${model.modelType} models do not support tagging`);
+	}
+
+	const tags = model.tag(model.tokenizeText(text));
+	return {
+		tags,
+		tagged: tags.map(({ token, tag }) => `${token}/${tag}`).join(' '),
+	};
+}
@@ -1,49 +1,69 @@
-import { Tokenizer } from '../models/Tokenizer.js';
-import { MarkovModel } from '../models/Markov/Model.js';
-import { VLMModel } from '../models/VLMM/Model.js';
-import { HMModel } from '../models/HMM/Model.js';
+import { ModelSerializer } from '../io/ModelSerializer.js';
+import {
+	createModel,
+	listModelTypes,
+	loadModelPlugins,
+} from '../models/index.js';
+import { RNG } from '../models/RNG.js';
+import {
+	runSteps,
+	serializeStep,
+	streamSteps,
+	trainingProgress,
+} from './progress.js';
 
 /**
  * Train a model from a text corpus file
  * @param {Object} params - The parameters for training
  * @param {string} params.file - Corpus file to train from
- * @param {string} params.modelType - Type of model to train (markov, vlmm, hmm)
+ * @param {string} params.modelType - Registered model type (markov, vlmm, hmm, ...)
  * @param {number} params.order - Markov order (n-gram size)
+ * @param {number} params.numStates - Number of hidden states (HMM)
+ * @param {boolean} params.supervised - Train from a tagged corpus, one state per tag (HMM)
+ * @param {string} params.construction - VLMM contexts: full, or pst to grow a probabilistic suffix tree
+ * @param {number} params.significance - Bits a pst context must add over its shorter suffix
+ * @param {number} params.minSupport - Times a pst context must have been seen
+ * @param {string} params.tokenization - Tokenization method (word, whitespace, char, grapheme, bpe)
+ * @param {number} params.bpeVocabSize - Subword vocabulary size (bpe)
+ * @param {string} params.detokenizer - Rule set for joining generated tokens (english, french, code, verbatim)
+ * @param {number} params.seed - Seed for random initialization (HMM)
  * @param {string} params.modelName - Filename to save the trained model
+ * @param {string} params.format - Save format: json, or binary (saved as .bin)
  * @param {boolean} params.caseSensitive - Whether to preserve case during tokenization
+ * @param {boolean} params.paragraphs - Keep blank lines as paragraph-break tokens (word, whitespace)
  * @param {boolean} params.trackStartStates - Whether to track sentence start states
- * @returns {Promise<Object>} - The result of the training
+ * @param {boolean} params.stream - Return an async iterator of progress
+ *   events ending with the result instead of the result
+ * @returns {Promise<Object>} - The trained model, its filename and the seed
+ *   its random initialization used
  */
 export async function trainModel(params) {
-	const { file, modelType, order = 2, modelName } = params || {};
+	const {
+		file,
+		modelType,
+		modelName,
+		seed,
+		format = 'json',
+		stream = false,
+	} = params || {};
 
 	if (!file) {
 		throw new Error('Training failed: file parameter is required');
 	}
 
-	const processor = new Tokenizer();
-	const tokens = processor.tokenize(file, {
-		method: 'word',
-		preservePunctuation: true,
-		preserveCase: false,
-	});
-
-	let model;
-	switch (modelType) {
-		case 'markov':
-			model = new MarkovModel({ order });
-			break;
-		case 'vlmm':
-			model = new VLMModel({ order });
-			break;
-		case 'hmm':
-			model = new HMModel({ order });
-			break;
-		default:
-			throw new Error(`Unknown model type: ${modelType}`);
+	// The contracts can't list types that plugins register, so the registry
+	// is the one place modelType is checked
+	await loadModelPlugins();
+	const trainable = listModelTypes()
+		.filter(({ capabilities }) => capabilities.trainable !== false)
+		.map((type) => type.modelType);
+	if (!trainable.includes(modelType)) {
+		throw new Error(
+			`Training failed: ${modelType} is not a trainable model type (trainable: ${trainable.join(', ')})`,
+		);
 	}
-	
-	model.train(tokens);
+	const model = createModel(modelType, params);
+	const rng = new RNG(seed);
 
 	// Generate filename if not provided
 	let filename = modelName;
@@ -51,14 +71,38 @@ export async function trainModel(params) {
 		// Strip .txt extension and add .json
 		filename = modelName.replace(/\.txt$/, '') + '.json';
 	}
-	// Ensure .json extension
-	if (!filename.endsWith('.json')) {
-		filename += '.json';
-	}
+	const serializer = new ModelSerializer();
+	filename = serializer.withExtension(filename, format);
 
-	// Return both model and filename for the chain
-	return {
+	// Return both model and filename for the chain, and the seed so that a
+	// random initialization can be repeated
+	const result = {
 		model: model,
-		filename: filename
+		filename: filename,
+		seed: rng.seed,
 	};
-}
\ No newline at end of file
+	const steps = serializeStep(
+		tokenizeAndTrain(model, file, { randomFn: () => rng.random() }),
+		result,
+		serializer,
+		format,
+	);
+	if (stream) {
+		return streamSteps(steps, result);
+	}
+	runSteps(steps);
+	return result;
+}
+
+/**
+ * Learn the tokenizer, then train on the tokenized corpus
+ * @param {TextModel} model - Model to train
+ * @param {string} file - Corpus text
+ * @param {Object} options - Training options
+ * @yields {{type: 'progress', stage: string}}
+ */
+function* tokenizeAndTrain(model, file, options) {
+	yield { type: 'progress', stage: 'tokenize' };
+	model.fitTokenizer(file);
+	yield* trainingProgress(model, model.tokenizeCorpus(file), options);
+}
@@ -1,18 +1,41 @@
 // Main textgen module exports
 import { trainModel } from './commands/train.js';
 import { generateText } from './commands/generate.js';
+import { evaluateModel } from './commands/evaluate.js';
+import { continueTrainingModel } from './commands/continueTraining.js';
+import { blendModels } from './commands/blend.js';
+import { infillText } from './commands/infill.js';
+import { convertModel } from './commands/convert.js';
+import { pruneModel } from './commands/prune.js';
+import { tagText } from './commands/tag.js';
+import { inspectHMM } from './commands/inspectHMM.js';
+import { decodeText } from './commands/decode.js';
+import { registerModelType, listModelTypes } from './models/ModelRegistry.js';
 
 /**
  * Train a model from a text corpus file
  * @function trainModel
  * @param {Object} params - The parameters for training
  * @param {string} params.file - Corpus file to train from
- * @param {string} params.modelType - Type of model to train (markov, vlmm, hmm)
+ * @param {string} params.modelType - Registered model type (markov, vlmm, hmm, ...)
  * @param {number} params.order - Markov order (n-gram size)
+ * @param {number} params.numStates - Number of hidden states (HMM)
+ * @param {boolean} params.supervised - Train from a tagged corpus, one state per tag (HMM)
+ * @param {string} params.construction - VLMM contexts: full, or pst to grow a probabilistic suffix tree
+ * @param {number} params.significance - Bits a pst context must add over its shorter suffix
+ * @param {number} params.minSupport - Times a pst context must have been seen
+ * @param {string} params.tokenization - Tokenization method (word, whitespace, char, grapheme, bpe)
+ * @param {number} params.bpeVocabSize - Subword vocabulary size (bpe)
+ * @param {string} params.detokenizer - Rule set for joining generated tokens (english, french, code, verbatim)
+ * @param {number} params.seed - Seed for random initialization (HMM)
  * @param {string} params.modelName - Filename to save the trained model
+ * @param {string} params.format - Save format: json, or binary (saved as .bin)
  * @param {boolean} params.caseSensitive - Whether to preserve case during tokenization
+ * @param {boolean} params.paragraphs - Keep blank lines as paragraph-break tokens (word, whitespace)
  * @param {boolean} params.trackStartStates - Whether to track sentence start states
- * @returns {Promise<Object>} - The result of the training
+ * @param {boolean} params.stream - Return an async iterator of progress events ending with the result
+ * @returns {Promise<Object>} - The trained model, its filename and the seed
+ *   its random initialization used
  */
 
 /**
@@ -23,21 +46,171 @@ import { generateText } from './commands/generate.js';
  * @param {number} params.length - Maximum number of tokens to generate
  * @param {number} params.min_tokens - Minimum number of tokens to generate
  * @param {number} params.temperature - Randomness factor (0-2)
+ * @param {number} params.top_k - Sample from the k most likely tokens (0: all)
+ * @param {number} params.top_p - Nucleus sampling: keep the most likely tokens up to this mass
+ * @param {number} params.min_p - Drop tokens below this fraction of the top token's probability
+ * @param {number} params.typical_p - Locally typical sampling mass
+ * @param {string} params.decoding - 'sample' (default) or 'beam'
+ * @param {number} params.beam_width - Beam search: hypotheses kept per step
+ * @param {number} params.length_penalty - Beam search: length normalization exponent
+ * @param {number} params.return_beams - Beam search: number of beams to return
  * @param {string} params.prompt - Starting text for generation
- * @param {Array} params.stop - Stop tokens that end generation
+ * @param {Array} params.stop - Stop sequences that end generation
+ * @param {string[]} params.stop_patterns - Regular expressions that end generation
+ * @param {number} params.max_sentences - Sentences to generate before stopping
+ * @param {number} params.max_paragraphs - Paragraphs to generate before stopping
+ * @param {string} params.detokenizer - Detokenizer rule set for this call (default: the model's)
+ * @param {string[]} params.include - Words that must appear
+ * @param {string[]} params.exclude - Words that must never appear
  * @param {number} params.samples - Number of samples to generate
  * @param {boolean} params.allowRepetition - Allow immediate token repetition
+ * @param {number} params.seed - Seed for reproducible output (random when omitted)
+ * @param {boolean} params.stream - Return an async iterator of token events ending with the result
  * @returns {Promise<Object>} - The result of the generation
  */
 
+/**
+ * Evaluate a trained model on held-out text
+ * @function evaluateModel
+ * @param {Object} params - The parameters for evaluation
+ * @param {Object} params.modelData - Model data object to evaluate
+ * @param {string} params.file - Held-out corpus text
+ * @returns {Promise<Object>} - Cross-entropy, perplexity, OOV rate and coverage
+ */
+
+/**
+ * Continue training a saved model on additional corpus text
+ * @function continueTrainingModel
+ * @param {Object} params - The parameters for training
+ * @param {Object} params.modelData - Model data object to extend
+ * @param {string} params.file - Additional corpus text
+ * @param {string} params.modelName - Filename the extended model is saved under
+ * @param {string} params.format - Save format (default: the format the model was loaded from)
+ * @param {boolean} params.stream - Return an async iterator of progress events ending with the result
+ * @returns {Promise<Object>} - The extended model and its filename
+ */
+
+/**
+ * Describe a weighted blend of saved models, after checking that the models
+ * can be blended
+ * @function blendModels
+ * @param {Object} params - The parameters for blending
+ * @param {string[]} params.models - Model files to blend
+ * @param {number[]} params.weights - Relative weight of each model (default: equal)
+ * @param {string} params.modelName - Filename to save the blend as
+ * @param {Array<Object>} params.modelData - Model data of each model, in the
+ *   order of `models`
+ * @returns {Promise<Object>} - Blend data (references plus weights) and filename
+ */
+
+/**
+ * Generate a bridge between a prefix and a suffix
+ * @function infillText
+ * @param {Object} params - The parameters for infilling
+ * @param {Object} params.modelData - Model data object to use
+ * @param {string} params.prefix - Text before the gap
+ * @param {string} params.suffix - Text after the gap
+ * @param {number} params.length - Maximum number of tokens in the bridge
+ * @param {number} params.beam_width - Bridges kept at each search step
+ * @param {number} params.length_penalty - Length normalization exponent
+ * @param {number} params.return_beams - Number of best bridges to return
+ * @returns {Promise<Object>} - The infilled text as pure data
+ */
+
+/**
+ * Save a model in another format
+ * @function convertModel
+ * @param {Object} params - The parameters for conversion
+ * @param {Object} params.modelData - Model data object to convert
+ * @param {string} params.modelName - Filename the model was loaded from
+ * @param {string} params.format - Format to save in: json or binary
+ * @returns {Promise<Object>} - The serialized model and its new filename
+ */
+
+/**
+ * Shrink a saved model by dropping rare or uninformative contexts
+ * @function pruneModel
+ * @param {Object} params - The parameters for pruning
+ * @param {Object} params.modelData - Model data object to prune
+ * @param {string} params.file - Held-out corpus text to measure perplexity on
+ * @param {string} params.modelName - Filename the model was loaded from
+ * @param {string} params.saveAs - Filename for the pruned model (default: modelName)
+ * @param {number} params.minCount - Drop transitions seen fewer times
+ * @param {number} params.maxStates - Contexts kept per context length
+ * @param {number} params.klThreshold - Drop contexts worth fewer bits than this over their backoff context (ngram, vlmm)
+ * @returns {Promise<Object>} - The pruned model, its filename and a report of size and perplexity before and after
+ */
+
+/**
+ * Tag text with the most likely hidden state of each token
+ * @function tagText
+ * @param {Object} params - The parameters for tagging
+ * @param {Object} params.modelData - Model data object to tag with (HMM)
+ * @param {string} params.text - Text to tag
+ * @returns {Promise<Object>} - Token/tag pairs, and the text as word/TAG tokens
+ */
+
+/**
+ * Show what each hidden state of an HMM stands for
+ * @function inspectHMM
+ * @param {Object} params - The parameters for inspection
+ * @param {Object} params.modelData - Model data object to inspect (HMM)
+ * @param {number} params.top - Emitted tokens and successor states to list per state
+ * @returns {Promise<Object>} - Each state's top emissions, top successors and initial probability, plus a readable summary
+ */
+
+/**
+ * Find the most likely hidden state of each token and show it under the token
+ * @function decodeText
+ * @param {Object} params - The parameters for decoding
+ * @param {Object} params.modelData - Model data object to decode with (HMM)
+ * @param {string} params.text - Text to decode
+ * @returns {Promise<Object>} - Token/state pairs, and the text with each state aligned under its token
+ */
+
+/**
+ * Register a custom TextModel subclass so train/generate can use it
+ * @function registerModelType
+ * @param {Function} ModelClass - Class with static modelType, optionsSchema and validateJSON
+ * @returns {Function} - The registered class
+ */
+
+/**
+ * Describe all registered model types
+ * @function listModelTypes
+ * @returns {Array<Object>} - Type names, option schemas and capabilities
+ */
+
 // Export the explicit API functions
 export default {
 	trainModel,
 	generateText,
+	evaluateModel,
+	continueTrainingModel,
+	blendModels,
+	infillText,
+	convertModel,
+	pruneModel,
+	tagText,
+	inspectHMM,
+	decodeText,
+	registerModelType,
+	listModelTypes,
 };
 
 // Also export individually for direct access
 export {
 	trainModel,
 	generateText,
+	evaluateModel,
+	continueTrainingModel,
+	blendModels,
+	infillText,
+	convertModel,
+	pruneModel,
+	tagText,
+	inspectHMM,
+	decodeText,
+	registerModelType,
+	listModelTypes,
 };
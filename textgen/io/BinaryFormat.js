@@ -0,0 +1,367 @@
+/**
+ * Compact binary encoding of serialized model data.
+ *
+ * Encodes the same data tree a model's toJSON() returns, so every model type
+ * round-trips through it unchanged:
+ *
+ * - Header: the bytes "TGMB" and a format version
+ * - Word table: every distinct space-separated word of every string, stored
+ *   once; state keys such as "the brave knight" become lists of word numbers
+ * - Body: the data tree, with integers and lengths as varints, other
+ *   numbers as float64, and objects whose values are all counts written as
+ *   (key, varint) pairs
+ *
+ * Splitting strings on single spaces and joining them back is lossless, so
+ * strings that aren't states (dates, file names) survive too.
+ */
+
+const MAGIC = [0x54, 0x47, 0x4d, 0x42]; // "TGMB"
+const VERSION = 1;
+
+const TAG = {
+	NULL: 0,
+	FALSE: 1,
+	TRUE: 2,
+	INTEGER: 3,
+	NEGATIVE: 4,
+	FLOAT: 5,
+	STRING: 6,
+	ARRAY: 7,
+	OBJECT: 8,
+	COUNTS: 9,
+};
+
+/**
+ * Whether data holds a binary model, as a Buffer or as a Buffer that went
+ * through JSON ({type: 'Buffer', data: [...]})
+ * @param {*} data - Model data as loaded
+ * @returns {boolean}
+ */
+export function isBinaryModel(data) {
+	const bytes = toBytes(data);
+	return (
+		bytes !== null &&
+		bytes.length > MAGIC.length &&
+		MAGIC.every((byte, i) => bytes[i] === byte)
+	);
+}
+
+/**
+ * Encode serialized model data
+ * @param {Object} data - Output of a model's toJSON()
+ * @returns {Buffer}
+ */
+export function encodeModel(data) {
+	const words = new Map();
+	const body = new ByteWriter();
+
+	const writeString = (string) => {
+		const parts = string.split(' ');
+		body.varint(parts.length);
+		for (const part of parts) {
+			if (!words.has(part)) {
+				words.set(part, words.size);
+			}
+			body.varint(words.get(part));
+		}
+	};
+
+	const writeValue = (value) => {
+		if (typeof value?.toJSON === 'function') {
+			value = value.toJSON();
+		}
+
+		if (value === null || value === undefined) {
+			body.byte(TAG.NULL);
+		} else if (value === false || value === true) {
+			body.byte(value ? TAG.TRUE : TAG.FALSE);
+		} else if (typeof value === 'number') {
+			if (!Number.isFinite(value)) {
+				// As JSON.stringify does
+				body.byte(TAG.NULL);
+			} else if (Number.isSafeInteger(value) && !Object.is(value, -0)) {
+				body.byte(value >= 0 ? TAG.INTEGER : TAG.NEGATIVE);
+				body.varint(Math.abs(value));
+			} else {
+				body.byte(TAG.FLOAT);
+				body.float64(value);
+			}
+		} else if (typeof value === 'string') {
+			body.byte(TAG.STRING);
+			writeString(value);
+		} else if (Array.isArray(value)) {
+			body.byte(TAG.ARRAY);
+			body.varint(value.length);
+			for (const item of value) {
+				writeValue(item);
+			}
+		} else if (typeof value === 'object') {
+			const entries = Object.entries(value).filter(
+				([, v]) => v !== undefined && typeof v !== 'function',
+			);
+			const counts =
+				entries.length > 0 &&
+				entries.every(([, v]) => Number.isSafeInteger(v) && v >= 0);
+			body.byte(counts ? TAG.COUNTS : TAG.OBJECT);
+			body.varint(entries.length);
+			for (const [key, v] of entries) {
+				writeString(key);
+				if (counts) {
+					body.varint(v);
+				} else {
+					writeValue(v);
+				}
+			}
+		} else {
+			throw new Error(`Cannot encode ${typeof value} in a binary model`);
+		}
+	};
+
+	writeValue(data);
+
+	const header = new ByteWriter();
+	header.bytes(MAGIC);
+	header.byte(VERSION);
+	header.varint(words.size);
+	for (const word of words.keys()) {
+		const encoded = Buffer.from(word, 'utf8');
+		header.varint(encoded.length);
+		header.bytes(encoded);
+	}
+
+	return Buffer.concat([header.toBuffer(), body.toBuffer()]);
+}
+
+/**
+ * Decode a binary model back into serialized model data
+ * @param {Buffer|Uint8Array|Object} data - Encoded model (see isBinaryModel)
+ * @returns {Object} - The data the model's toJSON() returned
+ */
+export function decodeModel(data) {
+	if (!isBinaryModel(data)) {
+		throw new Error('Not a binary model');
+	}
+
+	const reader = new ByteReader(toBytes(data));
+	reader.offset = MAGIC.length;
+	const version = reader.byte();
+	if (version !== VERSION) {
+		throw new Error(`Unsupported binary model version: ${version}`);
+	}
+
+	const words = new Array(reader.varint());
+	for (let i = 0; i < words.length; i++) {
+		words[i] = reader.utf8(reader.varint());
+	}
+
+	const readString = () => {
+		const parts = new Array(reader.varint());
+		for (let i = 0; i < parts.length; i++) {
+			const index = reader.varint();
+			if (index >= words.length) {
+				throw new Error('Corrupt binary model: word out of range');
+			}
+			parts[i] = words[index];
+		}
+		return parts.join(' ');
+	};
+
+	const readValue = () => {
+		const tag = reader.byte();
+		switch (tag) {
+			case TAG.NULL:
+				return null;
+			case TAG.FALSE:
+				return false;
+			case TAG.TRUE:
+				return true;
+			case TAG.INTEGER:
+				return reader.varint();
+			case TAG.NEGATIVE:
+				return -reader.varint();
+			case TAG.FLOAT:
+				return reader.float64();
+			case TAG.STRING:
+				return readString();
+			case TAG.ARRAY: {
+				const array = new Array(reader.varint());
+				for (let i = 0; i < array.length; i++) {
+					array[i] = readValue();
+				}
+				return array;
+			}
+			case TAG.OBJECT:
+			case TAG.COUNTS: {
+				const object = {};
+				const size = reader.varint();
+				for (let i = 0; i < size; i++) {
+					const key = readString();
+					const value = tag === TAG.COUNTS ? reader.varint() : readValue();
+					if (key === '__proto__') {
+						// An own property, as JSON.parse makes it
+						Object.defineProperty(object, key, {
+							value,
+							enumerable: true,
+							writable: true,
+							configurable: true,
+						});
+					} else {
+						object[key] = value;
+					}
+				}
+				return object;
+			}
+			default:
+				throw new Error(`Corrupt binary model: unknown tag ${tag}`);
+		}
+	};
+
+	const value = readValue();
+	if (reader.offset !== reader.bytes.length) {
+		throw new Error('Corrupt binary model: trailing bytes');
+	}
+	return value;
+}
+
+/**
+ * View model data as bytes, if it is bytes
+ * @param {*} data - Buffer, Uint8Array or JSON-serialized Buffer
+ * @returns {Uint8Array|null}
+ */
+function toBytes(data) {
+	if (data instanceof Uint8Array) {
+		return data;
+	}
+	if (data?.type === 'Buffer' && Array.isArray(data.data)) {
+		return Uint8Array.from(data.data);
+	}
+	return null;
+}
+
+/**
+ * Growable byte buffer
+ */
+class ByteWriter {
+	constructor() {
+		this.buffer = Buffer.alloc(1024);
+		this.length = 0;
+	}
+
+	/**
+	 * Make room for more bytes
+	 * @param {number} size - Bytes about to be written
+	 */
+	reserve(size) {
+		if (this.length + size <= this.buffer.length) return;
+		let capacity = this.buffer.length * 2;
+		while (capacity < this.length + size) capacity *= 2;
+		const grown = Buffer.alloc(capacity);
+		this.buffer.copy(grown, 0, 0, this.length);
+		this.buffer = grown;
+	}
+
+	/**
+	 * @param {number} value - A single byte
+	 */
+	byte(value) {
+		this.reserve(1);
+		this.buffer[this.length++] = value;
+	}
+
+	/**
+	 * @param {ArrayLike<number>} values - Bytes to copy
+	 */
+	bytes(values) {
+		this.reserve(values.length);
+		this.buffer.set(values, this.length);
+		this.length += values.length;
+	}
+
+	/**
+	 * Write a non-negative integer as an unsigned LEB128 varint; arithmetic
+	 * rather than bit shifts keeps integers above 2^32 intact
+	 * @param {number} value - Safe non-negative integer
+	 */
+	varint(value) {
+		this.reserve(8);
+		while (value >= 0x80) {
+			this.buffer[this.length++] = value % 0x80 | 0x80;
+			value = Math.floor(value / 0x80);
+		}
+		this.buffer[this.length++] = value;
+	}
+
+	/**
+	 * @param {number} value - Number stored exactly, little-endian
+	 */
+	float64(value) {
+		this.reserve(8);
+		this.buffer.writeDoubleLE(value, this.length);
+		this.length += 8;
+	}
+
+	/**
+	 * @returns {Buffer} - The bytes written so far
+	 */
+	toBuffer() {
+		return this.buffer.subarray(0, this.length);
+	}
+}
+
+/**
+ * Sequential reader over encoded bytes
+ */
+class ByteReader {
+	/**
+	 * @param {Uint8Array} bytes - Encoded model
+	 */
+	constructor(bytes) {
+		this.bytes = bytes;
+		this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+		this.decoder = new TextDecoder();
+		this.offset = 0;
+	}
+
+	/**
+	 * Fail on reads past the end instead of returning undefined
+	 * @param {number} size - Bytes about to be read
+	 */
+	need(size) {
+		if (this.offset + size > this.bytes.length) {
+			throw new Error('Corrupt binary model: unexpected end of data');
+		}
+	}
+
+	byte() {
+		this.need(1);
+		return this.bytes[this.offset++];
+	}
+
+	varint() {
+		let value = 0;
+		let scale = 1;
+		let byte;
+		do {
+			byte = this.byte();
+			value += (byte & 0x7f) * scale;
+			scale *= 0x80;
+		} while (byte & 0x80);
+		return value;
+	}
+
+	float64() {
+		this.need(8);
+		const value = this.view.getFloat64(this.offset, true);
+		this.offset += 8;
+		return value;
+	}
+
+	utf8(length) {
+		this.need(length);
+		const text = this.decoder.decode(
+			this.bytes.subarray(this.offset, this.offset + length),
+		);
+		this.offset += length;
+		return text;
+	}
+}
@@ -1,11 +1,18 @@
-import { TextModel } from '../models/Interfaces.js';
-import { MarkovModel } from '../models/Markov/Model.js';
-import { VLMModel } from '../models/VLMM/Model.js';
+import {
+	TextModel,
+	createModel,
+	loadModelPlugins,
+	validateModelJSON,
+} from '../models/index.js';
+import { decodeModel, encodeModel, isBinaryModel } from './BinaryFormat.js';
 
+// Formats a model can be saved in
+export const MODEL_FORMATS = ['json', 'binary'];
 
 /**
  * Handle saving and loading Text models
- * Supports JSON format with compression and metadata
+ * Saves JSON or the compact binary format (see BinaryFormat.js); loading
+ * detects which one it was given
  */
 export class ModelSerializer {
 	constructor(options = {}) {
@@ -13,28 +20,21 @@ export class ModelSerializer {
 	}
 
 	/**
-	 * Load a Text model from file
-	 * @param {string} filename - Model filename
+	 * Load a Text model from parsed model data
+	 * @param {Object|Buffer} modelData - Parsed model JSON or a binary model
 	 * @returns {Promise<TextModel>} - Loaded model
 	 */
 	async loadModel(modelData) {
 		try {
+			await loadModelPlugins();
+
+			modelData = this.decode(modelData);
+
 			// Validate model data structure
 			this.validateModelData(modelData);
 
-			// Determine the correct model type
-			let model;
-			switch (modelData.modelType) {
-				case 'markov':
-					model = new MarkovModel({ order: modelData.order });
-					break;
-				case 'vlmm':
-					model = new VLMModel({ order: modelData.order });
-					break;
-				default:
-					throw new Error(`Unsupported model type: ${modelData.modelType}`);
-			}
-
+			// Construct the registered model type from its saved options
+			const model = createModel(modelData.modelType, modelData);
 			model.fromJSON(modelData);
 
 			if (modelData.metadata) {
@@ -43,22 +43,73 @@ export class ModelSerializer {
 
 			return model;
 		} catch (error) {
-			if (error.code === 'ENOENT') {
-				throw new Error(`Model file not found: ${fullPath}`);
-			}
-			if (error instanceof SyntaxError) {
-				throw new Error(`Invalid JSON in model file: ${filename}`);
+			const modelType = modelData?.modelType || 'unknown';
+			throw new Error(`Failed to load ${modelType} model: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Serialize a model for saving
+	 * @param {TextModel} model - Trained model
+	 * @param {string} format - One of MODEL_FORMATS (default: 'json')
+	 * @returns {Object|Buffer} - Model JSON, or the encoded binary model
+	 */
+	serialize(model, format = 'json') {
+		checkFormat(format);
+		const data = model.toJSON();
+		if (format !== 'binary') {
+			return data;
+		}
+		// Component references are resolved when the file is read, which
+		// only JSON files get
+		if (Array.isArray(data.components)) {
+			throw new Error(`${model.modelType} models can only be saved as JSON`);
+		}
+		return encodeModel(data);
+	}
+
+	/**
+	 * Give a model filename the extension of its save format, keeping a
+	 * compression extension (.gz, .br) last
+	 * @param {string} filename - Requested filename
+	 * @param {string} format - One of MODEL_FORMATS
+	 * @returns {string} - Filename ending in .json or .bin, plus .gz or .br
+	 *   if it had one
+	 */
+	withExtension(filename, format) {
+		checkFormat(format);
+		const extension = format === 'binary' ? '.bin' : '.json';
+		const [, name, compression = ''] = filename.match(/^(.*?)(\.gz|\.br)?$/);
+		return name.replace(/\.(json|bin)$/, '') + extension + compression;
+	}
+
+	/**
+	 * Turn loaded model data into model JSON, decoding binary models and
+	 * the binary components of blends
+	 * @param {Object|Buffer} modelData - Model data as loaded
+	 * @returns {Object} - Model JSON
+	 */
+	decode(modelData) {
+		const data = isBinaryModel(modelData) ? decodeModel(modelData) : modelData;
+		if (Array.isArray(data?.components)) {
+			for (const component of data.components) {
+				if (component?.modelData) {
+					component.modelData = this.decode(component.modelData);
+				}
 			}
-			throw new Error(
-				`Failed to load model from ${filename}: ${error.message}`,
-			);
 		}
+		return data;
 	}
 
 	/**
-	 * Validate model data structure.
-	 * @param {Object} modelData - Model data to validate.
+	 * Detect the format of loaded model data
+	 * @param {Object|Buffer} modelData - Model data as loaded
+	 * @returns {string} - One of MODEL_FORMATS
 	 */
+	detectFormat(modelData) {
+		return isBinaryModel(modelData) ? 'binary' : 'json';
+	}
+
 	/**
 	 * Validate the structure of model data
 	 * @param {Object} modelData - The model data to validate
@@ -68,12 +119,18 @@ export class ModelSerializer {
 			throw new Error('Invalid model data: not an object');
 		}
 
-		if (typeof modelData.order !== 'number' || modelData.order < 1) {
-			throw new Error('Invalid model data: missing or invalid order');
-		}
+		validateModelJSON(modelData);
+	}
+}
 
-		if (!Array.isArray(modelData.vocabulary)) {
-			throw new Error('Invalid model data: missing or invalid vocabulary');
-		}
+/**
+ * Fail on a format name that isn't one of MODEL_FORMATS
+ * @param {string} format - Format name
+ */
+function checkFormat(format) {
+	if (!MODEL_FORMATS.includes(format)) {
+		throw new Error(
+			`Unknown model format: ${format} (expected one of: ${MODEL_FORMATS.join(', ')})`,
+		);
 	}
 }
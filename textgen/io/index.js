@@ -1,3 +1,4 @@
 // IO module exports
 export * from './FileHandler.js';
 export * from './ModelSerializer.js';
+export * from './BinaryFormat.js';
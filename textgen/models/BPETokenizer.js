@@ -0,0 +1,175 @@
+import { SPACE_TOKEN, joinCharacters } from './Tokenizer.js';
+
+// Words (letters, digits, apostrophes) or single punctuation marks, each with
+// the space that precedes it
+const PIECE_PATTERN = / ?[\p{L}\p{N}_']+| ?[^\s\p{L}\p{N}_']/gu;
+
+/**
+ * Byte-pair-encoding subword tokenizer
+ * - Learns merges from a corpus until the vocabulary reaches `vocabSize`
+ * - Marks word starts with SPACE_TOKEN, so tokens join back without spaces
+ * - Merges never cross word or punctuation boundaries
+ */
+export class BPETokenizer {
+	/**
+	 * @param {Object} options - Tokenizer options
+	 * @param {number} options.vocabSize - Target vocabulary size (default: 1000)
+	 * @param {string[]} options.merges - Learned merges, "left right", in rank order
+	 */
+	constructor(options = {}) {
+		this.vocabSize = options.vocabSize || 1000;
+		this.merges = options.merges || [];
+		this.ranks = new Map(this.merges.map((merge, i) => [merge, i]));
+		// Map<string, string[]> - piece -> encoded tokens
+		this.cache = new Map();
+	}
+
+	/**
+	 * Split text into lowercase pieces that merges may not cross
+	 * @param {string} text - Input text
+	 * @returns {string[]} - Pieces, word starts prefixed with SPACE_TOKEN
+	 */
+	pretokenize(text) {
+		const normalized = ' ' + text.toLowerCase().replace(/\s+/g, ' ').trim();
+		return (normalized.match(PIECE_PATTERN) || []).map((piece) =>
+			piece[0] === ' ' ? SPACE_TOKEN + piece.slice(1) : piece,
+		);
+	}
+
+	/**
+	 * Learn merges from a corpus, replacing any existing ones
+	 * @param {string} text - Training corpus
+	 * @returns {BPETokenizer} - This tokenizer
+	 */
+	train(text) {
+		// Count unique pieces once; merges are applied to these
+		const pieceCounts = new Map();
+		for (const piece of this.pretokenize(text)) {
+			pieceCounts.set(piece, (pieceCounts.get(piece) || 0) + 1);
+		}
+		const words = Array.from(pieceCounts, ([piece, count]) => ({
+			symbols: Array.from(piece),
+			count,
+		}));
+
+		const vocabulary = new Set(words.flatMap(({ symbols }) => symbols));
+		this.merges = [];
+
+		while (vocabulary.size < this.vocabSize) {
+			const pairCounts = new Map();
+			for (const { symbols, count } of words) {
+				for (let i = 0; i < symbols.length - 1; i++) {
+					const pair = symbols[i] + ' ' + symbols[i + 1];
+					pairCounts.set(pair, (pairCounts.get(pair) || 0) + count);
+				}
+			}
+
+			// Most frequent pair; ties broken alphabetically for reproducibility
+			let best = null;
+			let bestCount = 1;
+			for (const [pair, count] of pairCounts) {
+				if (count > bestCount || (count === bestCount && best && pair < best)) {
+					best = pair;
+					bestCount = count;
+				}
+			}
+			if (!best) break;
+
+			const [left, right] = best.split(' ');
+			for (const word of words) {
+				word.symbols = this.mergePair(word.symbols, left, right);
+			}
+			this.merges.push(best);
+			vocabulary.add(left + right);
+		}
+
+		this.ranks = new Map(this.merges.map((merge, i) => [merge, i]));
+		this.cache = new Map();
+		return this;
+	}
+
+	/**
+	 * Replace every adjacent (left, right) with their concatenation
+	 * @param {string[]} symbols - Current symbols
+	 * @param {string} left - Left symbol
+	 * @param {string} right - Right symbol
+	 * @returns {string[]} - Merged symbols
+	 */
+	mergePair(symbols, left, right) {
+		const merged = [];
+		for (let i = 0; i < symbols.length; i++) {
+			if (symbols[i] === left && symbols[i + 1] === right) {
+				merged.push(left + right);
+				i++;
+			} else {
+				merged.push(symbols[i]);
+			}
+		}
+		return merged;
+	}
+
+	/**
+	 * Encode one piece by applying merges in the order they were learned
+	 * @param {string} piece - Pretokenized piece
+	 * @returns {string[]} - Subword tokens
+	 */
+	encodePiece(piece) {
+		if (this.cache.has(piece)) {
+			return this.cache.get(piece);
+		}
+
+		let symbols = Array.from(piece);
+		while (symbols.length > 1) {
+			let bestRank = Infinity;
+			let bestIndex = -1;
+			for (let i = 0; i < symbols.length - 1; i++) {
+				const rank = this.ranks.get(symbols[i] + ' ' + symbols[i + 1]);
+				if (rank !== undefined && rank < bestRank) {
+					bestRank = rank;
+					bestIndex = i;
+				}
+			}
+			if (bestIndex === -1) break;
+
+			symbols = this.mergePair(
+				symbols,
+				symbols[bestIndex],
+				symbols[bestIndex + 1],
+			);
+		}
+
+		this.cache.set(piece, symbols);
+		return symbols;
+	}
+
+	/**
+	 * Tokenize text into subwords
+	 * @param {string} text - Input text
+	 * @returns {string[]} - Subword tokens
+	 */
+	tokenize(text) {
+		if (!text || typeof text !== 'string') {
+			throw new Error('Input text must be a non-empty string.');
+		}
+		return this.pretokenize(text).flatMap((piece) => this.encodePiece(piece));
+	}
+
+	/**
+	 * Join subword tokens back into text
+	 * @param {string[]} tokens - Subword tokens
+	 * @returns {string} - Text
+	 */
+	detokenize(tokens) {
+		return joinCharacters(tokens);
+	}
+
+	/**
+	 * @returns {Object} - Serializable merge table
+	 */
+	toJSON() {
+		return {
+			vocabSize: this.vocabSize,
+			merges: this.merges,
+		};
+	}
+}
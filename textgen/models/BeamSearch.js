@@ -0,0 +1,180 @@
+import { GenerationContext, GenerationResult } from './Interfaces.js';
+import { random } from './RNG.js';
+import { LexicalConstraints } from './Constraints.js';
+import { StopConditions } from './StopConditions.js';
+
+/**
+ * Beam search decoding shared by all model types.
+ *
+ * Keeps the `beam_width` most likely partial sequences at each step instead
+ * of sampling one token, so it finds high-likelihood completions that end on
+ * a stop token rather than looping the way greedy decoding does. Models
+ * provide `getStartTokens(prompt, randomFn)` and
+ * `getNextTokenDistribution(history)`.
+ *
+ * Beams are ranked by logprob / length^length_penalty, where length counts
+ * generated tokens only; length_penalty 0 ranks by raw log-probability,
+ * which favours short sentences.
+ *
+ * `include` and `exclude` constraints mask each beam's candidates as they do
+ * for sampling (see Constraints.js), without reweighting them, so beam
+ * log-probabilities stay the model's own.
+ */
+
+/**
+ * Pick the beam search options out of a generation context
+ * @param {Object} context - Generation context
+ * @returns {{beam_width: number, length_penalty: number, return_beams: number}}
+ */
+export function getBeamOptions(context = {}) {
+	return {
+		beam_width: context.beam_width || 4,
+		length_penalty: context.length_penalty ?? 1.0,
+		return_beams: context.return_beams || 1,
+	};
+}
+
+/**
+ * Length-normalized beam score
+ * @param {number} logprob - Summed log-probability of the generated tokens
+ * @param {number} length - Number of generated tokens
+ * @param {number} lengthPenalty - Normalization exponent
+ * @returns {number}
+ */
+export function scoreBeam(logprob, length, lengthPenalty) {
+	return length > 0 ? logprob / Math.pow(length, lengthPenalty) : logprob;
+}
+
+/**
+ * Run beam search on a model
+ * @param {TextModel} model - Trained model
+ * @param {GenerationContext} context - Generation options; max_tokens,
+ *   min_tokens, stop, stop_patterns, max_sentences, max_paragraphs and prompt apply as they
+ *   do for sampling
+ * @returns {GenerationResult} - Best beam, with the top `return_beams` beams
+ *   in `beams` as {text, tokens, logprob, score, finish_reason, stop_condition}
+ */
+export function beamSearch(model, context = new GenerationContext()) {
+	const { max_tokens = 100, prompt = null, randomFn = random } = context;
+	const { beam_width, length_penalty, return_beams } = getBeamOptions(context);
+
+	if (max_tokens < 1) {
+		throw new Error('max_tokens must be at least 1');
+	}
+
+	const constraints = LexicalConstraints.fromContext(model, context);
+
+	const startTokens = model.getStartTokens(
+		prompt,
+		randomFn,
+		constraints && ((tokens) => constraints.canStartFrom(tokens)),
+	);
+	if (!startTokens) {
+		throw new Error('Could not find a valid starting state');
+	}
+
+	const stopConditions = StopConditions.fromContext(model, context);
+	stopConditions.begin(startTokens);
+
+	let beams = [{ tokens: startTokens, logprob: 0, length: 0 }];
+	const finished = [];
+	const finish = (beam, finish_reason, stop_condition = null) =>
+		finished.push({
+			...beam,
+			score: scoreBeam(beam.logprob, beam.length, length_penalty),
+			finish_reason,
+			stop_condition,
+		});
+
+	// Stop once beam_width hypotheses have met a stop condition
+	const stopped = () =>
+		finished.filter((beam) => beam.finish_reason === 'stop').length;
+
+	while (beams.length > 0 && stopped() < beam_width) {
+		const candidates = [];
+
+		for (const beam of beams) {
+			if (beam.tokens.length >= max_tokens) {
+				finish(
+					beam,
+					constraints && !constraints.isSatisfied(beam.tokens)
+						? 'constraint_unsatisfiable'
+						: 'length',
+				);
+				continue;
+			}
+
+			let next = model
+				.getNextTokenDistribution(beam.tokens)
+				.filter((c) => c.probability > 0);
+			if (next.length === 0) {
+				finish(beam, 'no_transitions');
+				continue;
+			}
+
+			if (constraints) {
+				next = constraints.mask(next, beam.tokens);
+				if (next.length === 0) {
+					finish(beam, 'constraint_unsatisfiable');
+					continue;
+				}
+			}
+
+			next = next
+				.sort((a, b) => b.probability - a.probability)
+				.slice(0, beam_width);
+
+			for (const { token, probability } of next) {
+				const logprob = beam.logprob + Math.log(probability);
+				const length = beam.length + 1;
+				candidates.push({
+					tokens: [...beam.tokens, token],
+					logprob,
+					length,
+					score: scoreBeam(logprob, length, length_penalty),
+				});
+			}
+		}
+
+		candidates.sort((a, b) => b.score - a.score);
+		beams = [];
+		for (const candidate of candidates.slice(0, beam_width)) {
+			const condition = stopConditions.check(candidate.tokens);
+			if (
+				condition &&
+				(!constraints || constraints.isSatisfied(candidate.tokens))
+			) {
+				finish(candidate, 'stop', condition);
+			} else {
+				beams.push(candidate);
+			}
+		}
+	}
+
+	// Beams that met a stop condition outrank ones that were cut off
+	const ranked = finished.sort(
+		(a, b) =>
+			(b.finish_reason === 'stop') - (a.finish_reason === 'stop') ||
+			b.score - a.score,
+	);
+
+	const top = ranked.slice(0, return_beams).map((beam) => ({
+		text: model.postProcess(beam.tokens, context),
+		tokens: beam.tokens,
+		logprob: beam.logprob,
+		score: beam.score,
+		finish_reason: beam.finish_reason,
+		stop_condition: beam.stop_condition,
+	}));
+
+	const best = top[0];
+	return new GenerationResult(best.text, {
+		tokens: best.tokens,
+		length: best.tokens.length,
+		model: model.modelType,
+		finish_reason: best.finish_reason,
+		stop_condition: best.stop_condition,
+		seed: context.seed,
+		beams: top,
+	});
+}
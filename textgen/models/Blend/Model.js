@@ -0,0 +1,481 @@
+import {
+	TextModel,
+	GenerationContext,
+	GenerationResult,
+} from '../Interfaces.js';
+import { random } from '../RNG.js';
+import { getSamplingOptions, sampleToken } from '../Sampling.js';
+import { LexicalConstraints } from '../Constraints.js';
+import { StopConditions } from '../StopConditions.js';
+import {
+	createModel,
+	registerModelType,
+	validateModelJSON,
+} from '../ModelRegistry.js';
+
+/**
+ * Weighted mixture of trained models
+ * - Samples each token from the weighted mixture of the components'
+ *   next-token distributions
+ * - Components that have nothing to say about the current context are left
+ *   out and the remaining weights renormalized, so generation doesn't stall
+ * - Saved as model references plus weights; the referenced files are
+ *   resolved into `modelData` by fileOps before loading
+ */
+export class BlendModel extends TextModel {
+	static modelType = 'blend';
+
+	// Blends are built by the blend command, not trained
+	static optionsSchema = {};
+
+	/**
+	 * Validate serialized blend data
+	 * @param {Object} data - Serialized model data
+	 */
+	static validateJSON(data) {
+		if (!Array.isArray(data.components) || data.components.length === 0) {
+			throw new Error('Invalid model data: missing or invalid components');
+		}
+
+		for (const component of data.components) {
+			if (!component || typeof component.model !== 'string') {
+				throw new Error('Invalid model data: component without model name');
+			}
+			if (!(component.weight > 0)) {
+				throw new Error(
+					`Invalid model data: weight for ${component.model} must be positive`,
+				);
+			}
+		}
+	}
+
+	/**
+	 * @param {object} options - The model options (unused)
+	 */
+	constructor(options = {}) {
+		super(options);
+		// Array<{name: string, weight: number, model: TextModel}>
+		this.components = [];
+		this.vocabulary = new Set();
+		this.modelType = this.constructor.modelType;
+	}
+
+	/**
+	 * Get model capabilities
+	 * @returns {Object}
+	 */
+	getCapabilities() {
+		return {
+			supportsTemperature: true,
+			supportsConstraints: true,
+			supportsConditionalGeneration: true,
+			supportsBatchGeneration: true,
+			maxOrder: Math.max(
+				0,
+				...this.components.map(({ model }) => model.order || 0),
+			),
+			modelType: this.modelType,
+			trainable: false,
+		};
+	}
+
+	train() {
+		throw new Error(
+			'Blended models are built from trained models with the blend command',
+		);
+	}
+
+	/**
+	 * Set the mixture components, normalizing weights to sum to 1
+	 * @param {Array<{name: string, weight: number, model: TextModel}>} components
+	 */
+	setComponents(components) {
+		const totalWeight = components.reduce((sum, c) => sum + c.weight, 0);
+		if (!(totalWeight > 0)) {
+			throw new Error('Blend weights must sum to a positive number');
+		}
+
+		// Generation starts from a component's start context (see
+		// getRandomStartContext), which not every model type keeps
+		for (const { name, model } of components) {
+			if (
+				typeof model.getRandomStartContext !== 'function' &&
+				typeof model.getRandomStartState !== 'function'
+			) {
+				throw new Error(`Cannot blend ${model.modelType} model ${name}`);
+			}
+		}
+
+		// Token streams only mix if every component splits text the same way;
+		// the blend joins its text with the first component's detokenizer
+		const tokenizers = new Set(
+			components.map(({ model }) => {
+				const { detokenizer, ...settings } = model.tokenizerToJSON();
+				return JSON.stringify(settings);
+			}),
+		);
+		if (tokenizers.size > 1) {
+			throw new Error('Cannot blend models with different tokenizers');
+		}
+		this.tokenizerFromJSON(components[0].model.tokenizerToJSON());
+
+		this.components = components.map((c) => ({
+			...c,
+			weight: c.weight / totalWeight,
+		}));
+
+		this.vocabulary = new Set();
+		for (const { model } of this.components) {
+			for (const token of model.vocabulary || []) {
+				this.vocabulary.add(token);
+			}
+		}
+	}
+
+	/**
+	 * Weighted mixture of the components' next-token distributions
+	 * @param {string[]} history - Tokens so far
+	 * @returns {Map<string, number>} - token -> probability
+	 */
+	getDistribution(history) {
+		const distribution = new Map();
+		let activeWeight = 0;
+
+		for (const { weight, model } of this.components) {
+			// Each component backs off or smooths unseen contexts its own way
+			const transitions = model.getNextTokenDistribution(history);
+			if (transitions.length === 0) continue;
+
+			activeWeight += weight;
+			for (const { token, probability } of transitions) {
+				distribution.set(
+					token,
+					(distribution.get(token) || 0) + weight * probability,
+				);
+			}
+		}
+
+		if (activeWeight > 0 && activeWeight < 1) {
+			for (const [token, probability] of distribution) {
+				distribution.set(token, probability / activeWeight);
+			}
+		}
+
+		return distribution;
+	}
+
+	/**
+	 * Get all possible next tokens after the given context
+	 * @param {string[]} context - Context tokens
+	 * @returns {Array<{token: string, probability: number}>}
+	 */
+	getPossibleNextTokens(context) {
+		return Array.from(
+			this.getDistribution(context),
+			([token, probability]) => ({
+				token,
+				probability,
+			}),
+		).sort((a, b) => b.probability - a.probability);
+	}
+
+	/**
+	 * Score each token from the mixture, starting where some component can
+	 * first predict
+	 * @param {string[]} tokens - Normalized tokens
+	 * @returns {Array<{token: string, probability: number, oov: boolean}>}
+	 */
+	scoreSequence(tokens) {
+		const scores = [];
+		for (let i = 0; i < tokens.length; i++) {
+			const distribution = this.getDistribution(tokens.slice(0, i));
+			if (scores.length === 0 && distribution.size === 0) continue;
+
+			const token = tokens[i];
+			scores.push({
+				token,
+				probability: distribution.get(token) || 0,
+				oov: !this.vocabulary.has(token),
+			});
+		}
+		return scores;
+	}
+
+	/**
+	 * Pick a component at random according to the blend weights
+	 * @param {Function} randomFn - Random function
+	 * @returns {TextModel}
+	 */
+	pickComponent(randomFn) {
+		const rand = randomFn();
+		let cumulativeWeight = 0;
+		for (const { weight, model } of this.components) {
+			cumulativeWeight += weight;
+			if (rand <= cumulativeWeight) return model;
+		}
+		return this.components[this.components.length - 1].model;
+	}
+
+	/**
+	 * Get a starting context from a weighted-random component
+	 * @param {Function} randomFn - Random function
+	 * @param {Function} accept - Optional test of a random start's tokens
+	 * @returns {string[]|null} - Starting context tokens (possibly empty)
+	 */
+	getRandomStartContext(randomFn = random, accept = null) {
+		const model = this.pickComponent(randomFn);
+		if (typeof model.getRandomStartContext === 'function') {
+			return model.getRandomStartContext(randomFn, accept);
+		}
+		const state = model.getRandomStartState(randomFn, accept);
+		return state === null ? null : state.split(' ');
+	}
+
+	/**
+	 * Tokens that begin a new sentence; an empty start context is filled by
+	 * sampling from the components' sentence-start distributions
+	 * @param {Object} sampling - Temperature and truncation options
+	 * @param {Function} randomFn - Random function
+	 * @returns {string[]} - Start tokens, empty if none could be found
+	 */
+	startSentence(sampling, randomFn) {
+		const { constraints } = sampling;
+		const startTokens =
+			this.getRandomStartContext(
+				randomFn,
+				constraints && ((tokens) => constraints.canStartFrom(tokens)),
+			) || [];
+		if (startTokens.length === 0) {
+			const token = this.sampleNextToken([], sampling, randomFn);
+			if (token !== null) startTokens.push(token);
+		}
+		return startTokens;
+	}
+
+	/**
+	 * @override
+	 * @param {string|null} prompt - Optional starting text
+	 * @param {Function} randomFn - Random function
+	 * @param {Function} accept - Optional test of a random start's tokens
+	 * @returns {string[]|null} - Start tokens (possibly empty)
+	 */
+	getStartTokens(prompt, randomFn = random, accept = null) {
+		return prompt
+			? this.splitPrompt(prompt)
+			: this.getRandomStartContext(randomFn, accept);
+	}
+
+	/**
+	 * @override
+	 * @param {string[]} history - Tokens so far
+	 * @returns {Array<{token: string, probability: number}>}
+	 */
+	getNextTokenDistribution(history) {
+		return this.getPossibleNextTokens(history);
+	}
+
+	/**
+	 * @override
+	 * Component contexts are collapsed to their last token, so the graph
+	 * over-approximates what the mixture can reach
+	 * @returns {Map<string, Set<string>>|null} - token -> tokens following it
+	 *   in any component, or null if a component has no graph (any token may
+	 *   follow any other in the mixture too)
+	 */
+	getTransitionGraph() {
+		const graphs = this.components.map(({ model }) =>
+			model.getTransitionGraph(),
+		);
+		if (graphs.includes(null)) {
+			return null;
+		}
+
+		const graph = new Map();
+		for (const componentGraph of graphs) {
+			for (const [key, next] of componentGraph) {
+				const token = key.slice(key.lastIndexOf(' ') + 1);
+				if (!graph.has(token)) {
+					graph.set(token, new Set());
+				}
+				for (const nextToken of next) {
+					graph.get(token).add(nextToken);
+				}
+			}
+		}
+		return graph;
+	}
+
+	/**
+	 * Sample the next token from the mixture
+	 * @param {string[]} history - Tokens so far
+	 * @param {Object} sampling - Temperature and truncation options (see Sampling.js)
+	 * @param {Function} randomFn - Random function
+	 * @returns {string|null} - Next token or null
+	 */
+	sampleNextToken(history, sampling, randomFn) {
+		return sampleToken(this.getPossibleNextTokens(history), sampling, randomFn);
+	}
+
+	/**
+	 * Generate text from the weighted mixture, one token at a time
+	 * @param {GenerationContext} context - Generation options
+	 * @yields {Object} - The prompt or start tokens, then each added token
+	 * @returns {GenerationResult} - Generated text and metadata
+	 */
+	*generateTokens(context = new GenerationContext()) {
+		const {
+			max_tokens = 100,
+			prompt = null,
+			randomFn = random,
+			allowRepetition = true,
+		} = context;
+
+		if (this.components.length === 0) {
+			throw new Error('Blend has no component models');
+		}
+
+		const generated = [];
+		const constraints = LexicalConstraints.fromContext(
+			this,
+			context,
+			generated,
+		);
+		// Model probability of the last sampled token, reported with it
+		let probability = null;
+		const sampling = {
+			...getSamplingOptions(context),
+			constraints,
+			onSample: (token, p) => (probability = p),
+		};
+		const stopConditions = StopConditions.fromContext(this, context);
+
+		generated.push(
+			...(prompt
+				? this.splitPrompt(prompt)
+				: this.startSentence(sampling, randomFn)),
+		);
+
+		if (generated.length === 0) {
+			throw new Error('Could not find a valid starting state');
+		}
+
+		yield { type: 'start', tokens: [...generated] };
+		stopConditions.begin(generated);
+
+		let attempts = 0;
+		const maxAttempts = max_tokens * 3;
+		let finish_reason = 'length';
+		let stop_condition = null;
+
+		while (generated.length < max_tokens && attempts < maxAttempts) {
+			attempts++;
+
+			const nextToken = this.sampleNextToken(generated, sampling, randomFn);
+
+			if (nextToken === null) {
+				if (constraints?.blocked) {
+					finish_reason = 'constraint_unsatisfiable';
+					break;
+				}
+
+				// No component knows this context; start a new sentence
+				const startTokens = this.startSentence(sampling, randomFn);
+				if (startTokens.length === 0) {
+					finish_reason = 'no_transitions';
+					break;
+				}
+				generated.push(...startTokens);
+				for (const token of startTokens) {
+					yield { type: 'token', token, probability: null };
+				}
+				continue;
+			}
+
+			if (
+				!allowRepetition &&
+				generated.length > 0 &&
+				generated[generated.length - 1] === nextToken
+			) {
+				continue;
+			}
+
+			generated.push(nextToken);
+			yield { type: 'token', token: nextToken, probability };
+
+			// Check stop conditions
+			const stopped = stopConditions.check(generated);
+			if (stopped && (!constraints || constraints.isSatisfied())) {
+				finish_reason = 'stop';
+				stop_condition = stopped;
+				break;
+			}
+		}
+
+		if (constraints && !constraints.isSatisfied()) {
+			finish_reason = 'constraint_unsatisfiable';
+		}
+
+		const finalText = this.postProcess(generated, context);
+		return new GenerationResult(finalText, {
+			tokens: generated,
+			length: generated.length,
+			model: this.modelType,
+			finish_reason,
+			stop_condition,
+			attempts,
+			seed: context.seed,
+		});
+	}
+
+	/**
+	 * @override
+	 * @returns {Object} - Model statistics
+	 */
+	getStats() {
+		return {
+			components: this.components.map(({ name, weight, model }) => ({
+				model: name,
+				modelType: model.modelType,
+				weight,
+			})),
+			vocabularySize: this.vocabulary.size,
+		};
+	}
+
+	/**
+	 * Serialize as references plus weights; component models stay in their
+	 * own files
+	 * @override
+	 * @returns {Object} - Serializable model data
+	 */
+	toJSON() {
+		return {
+			modelType: this.modelType,
+			components: this.components.map(({ name, weight }) => ({
+				model: name,
+				weight,
+			})),
+		};
+	}
+
+	/**
+	 * @override
+	 * @param {Object} data - Serialized blend with each component's
+	 *   `modelData` resolved
+	 */
+	fromJSON(data) {
+		this.setComponents(
+			data.components.map(({ model: name, weight, modelData }) => {
+				if (!modelData) {
+					throw new Error(`Blend component not loaded: ${name}`);
+				}
+				validateModelJSON(modelData);
+				const model = createModel(modelData.modelType, modelData);
+				model.fromJSON(modelData);
+				return { name, weight, model };
+			}),
+		);
+	}
+}
+
+registerModelType(BlendModel);
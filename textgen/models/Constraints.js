@@ -0,0 +1,278 @@
+import { getBridgeLengths } from './Infill.js';
+
+/**
+ * Lexical constraints: words that must or must never appear in generated
+ * text.
+ *
+ * Excluded tokens are masked out of every next-token distribution, and the
+ * lookahead runs on the model's transition graph with them removed. Contexts
+ * that are left with no way forward are dead ends, and so are contexts that
+ * only lead into dead ends; candidates that lead into one are dropped.
+ * Included tokens are steered toward: a candidate is dropped when, after it,
+ * some required token could no longer be reached within the remaining
+ * length, and when sampling, each candidate's probability is halved for
+ * every token it stands away from the nearest missing one. Random start
+ * states with a banned token, or that are dead ends, are skipped while
+ * others remain. Models keep generating past stop tokens while a required
+ * token is missing, and report `constraint_unsatisfiable` when every
+ * candidate is masked or the text ends without meeting the constraints.
+ */
+export class LexicalConstraints {
+	/**
+	 * Build the constraints for a generation call, or null if it has none
+	 * @param {TextModel} model - Model generating the text
+	 * @param {GenerationContext} context - Generation options with
+	 *   `include` and `exclude` word lists
+	 * @param {string[]} generated - The generation's token array, read as it grows
+	 * @returns {LexicalConstraints|null}
+	 */
+	static fromContext(model, context, generated = []) {
+		const { include = [], exclude = [] } = context;
+		if (include.length === 0 && exclude.length === 0) {
+			return null;
+		}
+
+		return new LexicalConstraints({
+			include: include.map((word) => LexicalConstraints.toToken(model, word)),
+			exclude: exclude.map((word) => LexicalConstraints.toToken(model, word)),
+			model,
+			max_tokens: context.max_tokens,
+			generated,
+		});
+	}
+
+	/**
+	 * Normalize a constraint word the way the model's corpus was tokenized
+	 * @param {TextModel} model - Model generating the text
+	 * @param {string} word - Constraint word
+	 * @returns {string} - The single token it maps to
+	 */
+	static toToken(model, word) {
+		const tokens = model.tokenizeText(String(word));
+		if (tokens.length !== 1) {
+			throw new Error(
+				`Constraint "${word}" is ${tokens.length} tokens; include and exclude take single tokens`,
+			);
+		}
+		return tokens[0];
+	}
+
+	/**
+	 * @param {Object} options - Constraint options
+	 * @param {string[]} options.include - Tokens that must appear
+	 * @param {string[]} options.exclude - Tokens that must never appear
+	 * @param {TextModel} options.model - Model whose transition graph is
+	 *   searched (no graph: any token may follow any other)
+	 * @param {number} options.max_tokens - Generation length limit
+	 * @param {string[]} options.generated - Tokens generated so far (live)
+	 */
+	constructor(options = {}) {
+		this.include = options.include || [];
+		this.exclude = new Set(options.exclude || []);
+		this.model = options.model || null;
+		this.graph = null;
+		// Contexts that only lead to banned tokens
+		this.deadEnds = new Set();
+		if (this.model) {
+			const { graph, deadEnds } = removeTokens(
+				this.model,
+				this.model.getTransitionGraph(),
+				this.exclude,
+			);
+			this.graph = graph;
+			this.deadEnds = deadEnds;
+		}
+		this.max_tokens = options.max_tokens || 100;
+		this.generated = options.generated || [];
+		// Set when the last mask() removed every candidate
+		this.blocked = false;
+		// Map<string, Map<string, number>> - required token -> bridge lengths
+		this.distances = new Map();
+	}
+
+	/**
+	 * Fewest tokens needed after a history before `target` can follow
+	 * @param {string} target - Required token
+	 * @param {string[]} tokens - History ending in the candidate token
+	 * @returns {number} - Infinity if the target can't be reached
+	 */
+	distanceTo(target, tokens) {
+		if (!this.graph) return 0;
+
+		if (!this.distances.has(target)) {
+			this.distances.set(
+				target,
+				getBridgeLengths(this.model, this.graph, target, this.max_tokens),
+			);
+		}
+		const key = this.model.getContextKey(tokens);
+		return this.distances.get(target).get(key) ?? Infinity;
+	}
+
+	/**
+	 * Required tokens that haven't appeared yet
+	 * @param {string[]} tokens - Tokens so far
+	 * @returns {string[]}
+	 */
+	getMissing(tokens = this.generated) {
+		return this.include.filter((token) => !tokens.includes(token));
+	}
+
+	/**
+	 * Whether generation can't go on after a history without a banned token
+	 * @param {string[]} tokens - History ending in the candidate token
+	 * @returns {boolean}
+	 */
+	isDeadEnd(tokens) {
+		return (
+			this.deadEnds.size > 0 &&
+			this.deadEnds.has(this.model.getContextKey(tokens))
+		);
+	}
+
+	/**
+	 * Drop candidates that are banned, lead into a dead end or would make a
+	 * required token unreachable
+	 * @param {Array<{token: string, probability: number}>} candidates
+	 * @param {string[]} tokens - Tokens so far (default: the live generation)
+	 * @returns {Array<{token: string, probability: number}>}
+	 */
+	mask(candidates, tokens = this.generated) {
+		const missing = this.getMissing(tokens);
+		// Tokens that may still follow the candidate
+		const remaining = this.max_tokens - tokens.length - 1;
+
+		const allowed = candidates.filter(({ token }) => {
+			if (this.exclude.has(token)) return false;
+
+			const next = [...tokens, token];
+			if (remaining > 0 && this.isDeadEnd(next)) return false;
+
+			const stillMissing = missing.filter((required) => required !== token);
+			if (stillMissing.length === 0) return true;
+
+			if (stillMissing.length > remaining) return false;
+			return stillMissing.every(
+				(required) => this.distanceTo(required, next) + 1 <= remaining,
+			);
+		});
+
+		this.blocked = candidates.length > 0 && allowed.length === 0;
+		return allowed;
+	}
+
+	/**
+	 * Favour candidates close to a missing required token
+	 * @param {Array<{token: string, probability: number}>} candidates
+	 * @param {string[]} tokens - Tokens so far (default: the live generation)
+	 * @returns {Array<{token: string, probability: number}>} - Reweighted,
+	 *   not normalized
+	 */
+	steer(candidates, tokens = this.generated) {
+		const missing = this.getMissing(tokens);
+		if (missing.length === 0) return candidates;
+
+		return candidates.map((candidate) => {
+			const next = [...tokens, candidate.token];
+			const distance = missing.includes(candidate.token)
+				? 0
+				: Math.min(
+						...missing.map((required) => this.distanceTo(required, next) + 1),
+					);
+			return {
+				...candidate,
+				probability: candidate.probability * Math.pow(2, -distance),
+			};
+		});
+	}
+
+	/**
+	 * Mask, then steer, the candidates for sampling
+	 * @param {Array<{token: string, probability: number}>} candidates
+	 * @returns {Array<{token: string, probability: number}>}
+	 */
+	apply(candidates) {
+		return this.steer(this.mask(candidates));
+	}
+
+	/**
+	 * Whether tokens contain no banned token, e.g. a start state
+	 * @param {string[]} tokens - Tokens to check
+	 * @returns {boolean}
+	 */
+	allows(tokens) {
+		return !tokens.some((token) => this.exclude.has(token));
+	}
+
+	/**
+	 * Whether generation may start from tokens: none is banned and they
+	 * aren't a dead end
+	 * @param {string[]} tokens - Start state tokens
+	 * @returns {boolean}
+	 */
+	canStartFrom(tokens) {
+		return this.allows(tokens) && !this.isDeadEnd(tokens);
+	}
+
+	/**
+	 * Whether tokens contain every required token and no banned one
+	 * @param {string[]} tokens - Tokens to check (default: the live generation)
+	 * @returns {boolean}
+	 */
+	isSatisfied(tokens = this.generated) {
+		return this.getMissing(tokens).length === 0 && this.allows(tokens);
+	}
+}
+
+/**
+ * Remove banned tokens from a transition graph, and find the contexts that
+ * are left with no way forward, directly or through other such contexts
+ * @param {TextModel} model - Model whose contexts the graph holds
+ * @param {Map<string, Set<string>>|null} graph - Output of
+ *   model.getTransitionGraph() (null: nothing to remove, no dead ends)
+ * @param {Set<string>} banned - Tokens to remove
+ * @returns {{graph: Map<string, Set<string>>|null, deadEnds: Set<string>}} -
+ *   The graph without banned tokens or edges into dead ends, and the dead
+ *   ends
+ */
+function removeTokens(model, graph, banned) {
+	const deadEnds = new Set();
+	if (!graph || banned.size === 0) {
+		return { graph, deadEnds };
+	}
+
+	const filtered = new Map();
+	// context key -> [context, token] edges leading into it
+	const predecessors = new Map();
+	for (const [key, next] of graph) {
+		const allowed = new Set();
+		for (const token of next) {
+			if (banned.has(token)) continue;
+			allowed.add(token);
+			const nextKey = model.getContextKey([...key.split(' '), token]);
+			if (!predecessors.has(nextKey)) {
+				predecessors.set(nextKey, []);
+			}
+			predecessors.get(nextKey).push([key, token]);
+		}
+		filtered.set(key, allowed);
+		// Contexts that had no transitions to begin with end text as before
+		if (next.size > 0 && allowed.size === 0) {
+			deadEnds.add(key);
+		}
+	}
+
+	const queue = Array.from(deadEnds);
+	while (queue.length > 0) {
+		for (const [key, token] of predecessors.get(queue.pop()) || []) {
+			const next = filtered.get(key);
+			next.delete(token);
+			if (next.size === 0 && !deadEnds.has(key)) {
+				deadEnds.add(key);
+				queue.push(key);
+			}
+		}
+	}
+
+	return { graph: filtered, deadEnds };
+}
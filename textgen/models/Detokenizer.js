@@ -0,0 +1,288 @@
+import { joinCharacters } from './Tokenizer.js';
+
+/**
+ * Turns word-level tokens back into readable text.
+ *
+ * Each rule set says which punctuation attaches to its neighbours, which
+ * marks open and close pairs, and how apostrophes rejoin words:
+ *
+ * - english: "don ' t" -> "don't", "knights ' swords" -> "knights' swords",
+ *   hyphens and dashes join words, sentences start with a capital, "i" -> "I"
+ * - french: no-break spaces before ":" (U+00A0) and ";!?%" (U+202F) and
+ *   inside guillemets, elisions such as "l ' homme" -> "l'homme"
+ * - code: no spaces around "." or inside brackets, case left alone
+ * - verbatim: tokens joined by single spaces
+ *
+ * Quotes and brackets are paired: a straight quote opens or closes depending
+ * on what is open, a closer with no opener is dropped, and anything still
+ * open at the end is closed. Tokens holding line breaks are kept as line or
+ * paragraph breaks. Character and subword tokens join without spaces.
+ */
+
+const ENGLISH = {
+	// Capitalize the first word of each sentence
+	capitalize: true,
+	// The pronoun "i" is written "I"
+	capitalI: true,
+	noSpaceBefore: new Set([
+		'.',
+		',',
+		';',
+		':',
+		'!',
+		'?',
+		'%',
+		'…',
+		'-',
+		'–',
+		'—',
+	]),
+	noSpaceAfter: new Set(['$', '£', '#', '-', '–', '—']),
+	// Punctuation preceded by a particular space instead of none
+	spaceBefore: new Map(),
+	brackets: new Map([
+		['(', ')'],
+		['[', ']'],
+		['{', '}'],
+	]),
+	quotes: new Map([
+		['"', '"'],
+		["'", "'"],
+		['“', '”'],
+		['‘', '’'],
+	]),
+	// Space kept inside a pair of quotes, by opener
+	quotePadding: new Map(),
+	// Word endings that follow an apostrophe: "don ' t", "it ' s"
+	contractions: new Set(['t', 's', 'll', 're', 've', 'd', 'm']),
+	// Words whose last vowel an apostrophe replaces: "l ' homme"
+	elisions: null,
+	// "knights ' swords": an apostrophe after a plural
+	possessives: true,
+	// "3 . 5", "1 , 000" and "10 : 30" rejoin between digits
+	numberSeparators: new Set(['.', ',', ':']),
+};
+
+const FRENCH = {
+	...ENGLISH,
+	capitalI: false,
+	noSpaceBefore: new Set(['.', ',', '…', '-', '–', '—']),
+	noSpaceAfter: new Set(['-', '–', '—']),
+	spaceBefore: new Map([
+		[':', '\u00a0'],
+		[';', '\u202f'],
+		['!', '\u202f'],
+		['?', '\u202f'],
+		['%', '\u202f'],
+	]),
+	quotes: new Map([...ENGLISH.quotes, ['«', '»']]),
+	quotePadding: new Map([['«', '\u00a0']]),
+	contractions: null,
+	elisions: /^(?:[cdjlmnst]|qu|jusqu|lorsqu|puisqu|quoiqu)$/i,
+	possessives: false,
+	numberSeparators: new Set([',', '.']),
+};
+
+const CODE = {
+	...ENGLISH,
+	capitalize: false,
+	capitalI: false,
+	noSpaceBefore: new Set(['.', ',', ';', ':', '(', '[']),
+	noSpaceAfter: new Set(['.']),
+	quotes: new Map([
+		['"', '"'],
+		["'", "'"],
+		['`', '`'],
+	]),
+	contractions: null,
+	possessives: false,
+	numberSeparators: new Set(),
+};
+
+const RULE_SETS = {
+	english: ENGLISH,
+	french: FRENCH,
+	code: CODE,
+	verbatim: null,
+};
+
+// Names accepted by the `detokenizer` option
+export const DETOKENIZER_RULES = Object.keys(RULE_SETS);
+
+const SENTENCE_ENDINGS = new Set(['.', '!', '?', '…']);
+const APOSTROPHES = new Set(["'", '’']);
+const WORD = /^[\p{L}\p{N}_]/u;
+const DIGITS = /^\p{N}+$/u;
+
+export class Detokenizer {
+	/**
+	 * @param {string} rules - Rule set name, one of DETOKENIZER_RULES (default: 'english')
+	 */
+	constructor(rules = 'english') {
+		if (!Object.hasOwn(RULE_SETS, rules)) {
+			throw new Error(
+				`Unknown detokenizer: ${rules} (expected one of: ${DETOKENIZER_RULES.join(', ')})`,
+			);
+		}
+		this.name = rules;
+		this.rules = RULE_SETS[rules];
+	}
+
+	/**
+	 * Join tokens into text
+	 * @param {string[]} tokens - Tokens in order
+	 * @param {Object} options - Detokenization options
+	 * @param {boolean} options.subword - Tokens are characters or subwords
+	 *   that join without spaces (default: false)
+	 * @returns {string} - Readable text
+	 */
+	detokenize(tokens, options = {}) {
+		if (tokens.length === 0) {
+			return '';
+		}
+		if (options.subword) {
+			return joinCharacters(tokens);
+		}
+		if (!this.rules) {
+			return tokens.join(' ');
+		}
+
+		const rules = this.rules;
+		const bracketClosers = new Map(
+			[...rules.brackets].map(([opener, closer]) => [closer, opener]),
+		);
+		// Closing quotes that differ from their opener, such as ” and »
+		const quoteClosers = new Set(
+			[...rules.quotes]
+				.filter(([opener, closer]) => opener !== closer)
+				.map(([, closer]) => closer),
+		);
+		// Openers still waiting for their closer, innermost last
+		const open = [];
+		let text = '';
+		// Whether the next token attaches without a space
+		let attach = true;
+		let capitalize = rules.capitalize;
+
+		const append = (piece) => {
+			text += attach || rules.noSpaceBefore.has(piece) ? piece : ' ' + piece;
+			attach = false;
+		};
+		// Close every mark opened since `opener` (all of them when null)
+		const closeTo = (opener) => {
+			while (open.length > 0) {
+				const top = open.pop();
+				text += (rules.quotePadding.get(top) ?? '') + this.closerOf(top);
+				if (top === opener) break;
+			}
+			attach = false;
+		};
+
+		for (let i = 0; i < tokens.length; i++) {
+			const token = tokens[i];
+			const previous = tokens[i - 1] ?? '';
+			const next = tokens[i + 1] ?? '';
+
+			if (token.includes('\n')) {
+				text = text.trimEnd() + (/\n\s*\n/.test(token) ? '\n\n' : '\n');
+				attach = true;
+				capitalize = rules.capitalize;
+				continue;
+			}
+
+			if (APOSTROPHES.has(token) && WORD.test(previous) && WORD.test(next)) {
+				if (
+					rules.elisions?.test(previous) ||
+					rules.contractions?.has(next.toLowerCase())
+				) {
+					text += token;
+					attach = true;
+					continue;
+				}
+				// Inside single quotes, the apostrophe more likely closes them
+				if (
+					rules.possessives &&
+					/s$/i.test(previous) &&
+					!open.includes(token)
+				) {
+					text += token;
+					continue;
+				}
+			}
+
+			if (
+				rules.numberSeparators.has(token) &&
+				DIGITS.test(previous) &&
+				DIGITS.test(next)
+			) {
+				text += token;
+				attach = true;
+				continue;
+			}
+
+			if (bracketClosers.has(token)) {
+				// A closer with no opener is dropped
+				const opener = bracketClosers.get(token);
+				if (open.includes(opener)) {
+					closeTo(opener);
+				}
+				continue;
+			}
+
+			if (rules.brackets.has(token)) {
+				append(token);
+				open.push(token);
+				attach = true;
+				continue;
+			}
+
+			const quote = open.findLast(
+				(opener) =>
+					rules.quotes.has(opener) && rules.quotes.get(opener) === token,
+			);
+			if (quote) {
+				closeTo(quote);
+				continue;
+			}
+			if (quoteClosers.has(token)) {
+				continue;
+			}
+			if (rules.quotes.has(token)) {
+				append(token);
+				text += rules.quotePadding.get(token) ?? '';
+				open.push(token);
+				attach = true;
+				continue;
+			}
+
+			if (rules.spaceBefore.has(token)) {
+				text = text.trimEnd() + rules.spaceBefore.get(token) + token;
+				attach = false;
+			} else if (capitalize && WORD.test(token)) {
+				append(token[0].toUpperCase() + token.slice(1));
+				capitalize = false;
+			} else {
+				append(rules.capitalI && token === 'i' ? 'I' : token);
+			}
+
+			if (rules.noSpaceAfter.has(token)) {
+				attach = true;
+			}
+			if (rules.capitalize && SENTENCE_ENDINGS.has(token)) {
+				capitalize = true;
+			}
+		}
+
+		closeTo(null);
+		return text.trim();
+	}
+
+	/**
+	 * The mark that closes an opening bracket or quote
+	 * @param {string} opener - Opening mark
+	 * @returns {string}
+	 */
+	closerOf(opener) {
+		return this.rules.brackets.get(opener) ?? this.rules.quotes.get(opener);
+	}
+}
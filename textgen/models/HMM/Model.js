@@ -4,19 +4,137 @@ import {
 	GenerationResult,
 } from '../Interfaces.js';
 import { random } from '../RNG.js';
+import { registerModelType } from '../ModelRegistry.js';
+import { getSamplingOptions, sampleToken } from '../Sampling.js';
+import { LexicalConstraints } from '../Constraints.js';
+import { StopConditions } from '../StopConditions.js';
+import { Tokenizer } from '../Tokenizer.js';
+import { parseTaggedCorpus } from './TaggedCorpus.js';
+
+// Tokenizations whose tokens are words, as tagged corpora are
+const TAGGABLE_TOKENIZATIONS = ['word', 'whitespace'];
+
+// Pseudo-count added to every tag bigram and sentence-initial tag when
+// training from a tagged corpus
+const TRANSITION_SMOOTHING = 1;
 
 /**
  * Hidden Markov Model for text generation
  * - Models hidden states that emit observable tokens
  * - Supports Baum-Welch (EM) algorithm for unsupervised learning
  * - Includes Viterbi algorithm for most likely state sequence
+ *
+ * A flat token stream is trained on as sentences: Baum-Welch sums the
+ * expected counts of every sentence before re-estimating, forward-backward
+ * is scaled at every step and Viterbi works in log space, so sequences of
+ * any length and corpora of any size stay within floating-point range.
+ *
+ * Supervised HMMs are trained from a tagged corpus instead (see
+ * TaggedCorpus.js): there is one state per tag, named after it, and the
+ * parameters are smoothed relative frequencies of the tagged text.
  */
 export class HMModel extends TextModel {
+	static modelType = 'hmm';
+
+	static optionsSchema = {
+		...TextModel.optionsSchema,
+		numStates: {
+			type: 'integer',
+			description: 'Number of hidden states (HMM)',
+			default: 10,
+			min: 1,
+		},
+		maxIterations: {
+			type: 'integer',
+			description: 'Maximum Baum-Welch iterations (HMM)',
+			default: 100,
+			min: 1,
+		},
+		tolerance: {
+			type: 'number',
+			description: 'Per-token log-likelihood convergence tolerance (HMM)',
+			default: 1e-6,
+			min: 0,
+		},
+		restarts: {
+			type: 'integer',
+			description:
+				'Random initializations to train from, keeping the most likely (HMM)',
+			default: 1,
+			min: 1,
+		},
+		emissionSmoothing: {
+			type: 'number',
+			description:
+				'Pseudo-count added to every emission of every state, so rare tokens keep some probability (HMM)',
+			default: 0.1,
+			min: 0,
+		},
+		supervised: {
+			type: 'boolean',
+			description:
+				'Train from a tagged corpus (word/TAG tokens or CoNLL columns), one state per tag (HMM)',
+			default: false,
+		},
+	};
+
+	/**
+	 * Validate serialized HMM data
+	 * @param {Object} data - Serialized model data
+	 */
+	static validateJSON(data) {
+		const { numStates, indexToToken, initial, transitions, emissions } = data;
+
+		if (!Number.isInteger(numStates) || numStates < 1) {
+			throw new Error('Invalid HMM data: missing or invalid numStates');
+		}
+
+		if (!Array.isArray(indexToToken) || indexToToken.length === 0) {
+			throw new Error('Invalid HMM data: missing or invalid indexToToken');
+		}
+
+		if (!Array.isArray(initial) || initial.length !== numStates) {
+			throw new Error(
+				`Invalid HMM data: initial must have ${numStates} entries`,
+			);
+		}
+
+		const isMatrix = (matrix, rows, cols) =>
+			Array.isArray(matrix) &&
+			matrix.length === rows &&
+			matrix.every((row) => Array.isArray(row) && row.length === cols);
+
+		if (!isMatrix(transitions, numStates, numStates)) {
+			throw new Error(
+				`Invalid HMM data: transitions must be a ${numStates}x${numStates} matrix`,
+			);
+		}
+
+		if (!isMatrix(emissions, numStates, indexToToken.length)) {
+			throw new Error(
+				`Invalid HMM data: emissions must be a ${numStates}x${indexToToken.length} matrix`,
+			);
+		}
+
+		if (
+			data.indexToState !== undefined &&
+			(!Array.isArray(data.indexToState) ||
+				data.indexToState.length !== numStates)
+		) {
+			throw new Error(
+				`Invalid HMM data: indexToState must have ${numStates} entries`,
+			);
+		}
+	}
+
 	constructor(options = {}) {
 		super(options);
 		this.numStates = options.numStates || 10;
 		this.maxIterations = options.maxIterations || 100;
-		this.tolerance = options.tolerance || 1e-6;
+		this.tolerance = options.tolerance ?? 1e-6;
+		this.restarts = options.restarts || 1;
+		this.emissionSmoothing = options.emissionSmoothing ?? 0.1;
+		this.supervised = options.supervised ?? false;
 
 		// State transition probabilities: A[i][j] = P(state_j | state_i)
 		this.transitions = null;
@@ -33,7 +151,7 @@ export class HMModel extends TextModel {
 		this.stateToIndex = new Map();
 		this.indexToState = [];
 
-		this.modelType = 'hmm';
+		this.modelType = this.constructor.modelType;
 	}
 
 	/**
@@ -42,10 +160,11 @@ export class HMModel extends TextModel {
 	 */
 	getCapabilities() {
 		return {
-			supportsTemperature: false, // HMM doesn't naturally support temperature
+			supportsTemperature: true, // Applied to emissions; state transitions are sampled as-is
 			supportsConstraints: true,
 			supportsConditionalGeneration: true,
 			supportsBatchGeneration: true,
+			supportsTagging: true,
 			maxOrder: 1, // HMM is first-order by nature
 			modelType: this.modelType,
 			supportsUnsupervisedLearning: true,
@@ -55,8 +174,9 @@ export class HMModel extends TextModel {
 	/**
 	 * Initialize model parameters randomly
 	 * @param {string[]} vocabulary - Array of unique tokens
+	 * @param {Function} randomFn - Random function (default: random)
 	 */
-	initializeParameters(vocabulary) {
+	initializeParameters(vocabulary, randomFn = random) {
 		// Build vocabulary mappings
 		this.tokenToIndex = new Map();
 		this.indexToToken = vocabulary;
@@ -72,21 +192,48 @@ export class HMModel extends TextModel {
 
 		// Initialize transition matrix (row stochastic)
 		this.transitions = Array.from({ length: this.numStates }, () =>
-			Array.from({ length: this.numStates }, () => Math.random()),
+			Array.from({ length: this.numStates }, () => randomFn()),
 		);
 		this.normalizeMatrix(this.transitions);
 
 		// Initialize emission matrix (row stochastic)
 		this.emissions = Array.from({ length: this.numStates }, () =>
-			Array.from({ length: vocabulary.length }, () => Math.random()),
+			Array.from({ length: vocabulary.length }, () => randomFn()),
 		);
 		this.normalizeMatrix(this.emissions);
 
 		// Initialize initial state probabilities
-		this.initial = Array.from({ length: this.numStates }, () => Math.random());
+		this.initial = Array.from({ length: this.numStates }, () => randomFn());
 		this.normalizeVector(this.initial);
 	}
 
+	/**
+	 * Add unseen tokens to the vocabulary of a trained model.
+	 * Each new token gets a small share of every state's emission mass so
+	 * that EM can grow it from there.
+	 * @param {string[]} tokens - Tokens that may include new words
+	 */
+	extendVocabulary(tokens) {
+		const newTokens = [...new Set(tokens)].filter(
+			(token) => !this.tokenToIndex.has(token),
+		);
+		if (newTokens.length === 0) return;
+
+		const vocabSize = this.indexToToken.length + newTokens.length;
+		const newMass = 1 / vocabSize;
+
+		for (const token of newTokens) {
+			this.tokenToIndex.set(token, this.indexToToken.length);
+			this.indexToToken.push(token);
+		}
+		for (let i = 0; i < this.numStates; i++) {
+			for (let k = 0; k < newTokens.length; k++) {
+				this.emissions[i].push(newMass);
+			}
+		}
+		this.normalizeMatrix(this.emissions);
+	}
+
 	/**
 	 * Normalize a matrix to make rows sum to 1
 	 * @param {number[][]} matrix - Matrix to normalize
@@ -126,70 +273,235 @@ export class HMModel extends TextModel {
 		}
 	}
 
+	/**
+	 * @override
+	 * Supervised models read tags from the corpus, so the tokenizer has
+	 * nothing to learn
+	 * @param {string} text - Corpus text
+	 */
+	fitTokenizer(text) {
+		if (!this.supervised) {
+			super.fitTokenizer(text);
+		} else if (!TAGGABLE_TOKENIZATIONS.includes(this.tokenization)) {
+			throw new Error(
+				`Supervised HMMs need word-level tokenization (${TAGGABLE_TOKENIZATIONS.join(' or ')}), got: ${this.tokenization}`,
+			);
+		}
+	}
+
+	/**
+	 * @override
+	 * @param {string} text - Corpus text, tagged for supervised models
+	 * @returns {string[]|Array<Array<{token: string, tag: string}>>} - Tokens,
+	 *   or tagged sentences for supervised models
+	 */
+	tokenizeCorpus(text) {
+		if (!this.supervised) {
+			return super.tokenizeCorpus(text);
+		}
+		const tokenizer = new Tokenizer();
+		return parseTaggedCorpus(text, {
+			caseSensitive: this.caseSensitive,
+			isSentenceEnd: (token) => tokenizer.isSentenceEnd(token),
+		});
+	}
+
 	/**
 	 * Train the HMM using Baum-Welch algorithm (EM)
 	 * @param {string[]} tokens - Training tokens
-	 * @param {Object} options - Training options
+	 * @param {Object} options - Training options (see trainSteps)
 	 */
 	train(tokens, options = {}) {
+		const steps = this.trainSteps(tokens, options);
+		let step = steps.next();
+		while (!step.done) {
+			step = steps.next();
+		}
+	}
+
+	/**
+	 * Train the HMM using Baum-Welch, one EM iteration at a time
+	 * @param {string[]|string[][]} tokens - Training tokens, split into
+	 *   sentences at sentence-ending punctuation, or an array of token sequences
+	 * @param {Object} options - Training options
+	 * @param {boolean} options.incremental - Start EM from the current
+	 *   parameters instead of a random initialization (default: false)
+	 * @param {Function} options.randomFn - Random function for initialization
+	 * @yields {{restart: number, restarts: number, iteration: number, iterations: number, logLikelihood: number}}
+	 */
+	*trainSteps(tokens, options = {}) {
 		if (!Array.isArray(tokens) || tokens.length === 0) {
 			throw new Error('Training tokens must be a non-empty array');
 		}
 
-		// Check if tokens is an array of arrays
-		if (tokens.some(Array.isArray)) {
-			// Train on each sub-array separately
-			for (const subTokens of tokens) {
-				this.train(subTokens, options);
+		if (this.supervised) {
+			if (options.incremental) {
+				throw new Error(
+					'Supervised HMMs are retrained from the whole tagged corpus',
+				);
 			}
+			this.trainTagged(tokens);
 			return;
 		}
 
-		if (tokens.length === 0) {
+		const sequences = (
+			tokens.some(Array.isArray) ? tokens : splitSentences(tokens)
+		).filter((sequence) => sequence.length > 0);
+		if (sequences.length === 0) {
 			throw new Error('Training tokens must be a non-empty array');
 		}
 
+		if (options.incremental && this.emissions) {
+			// Warm start: continue EM from the current parameters
+			this.extendVocabulary(sequences.flat());
+			yield* this.baumWelch(sequences, options, { restart: 1, restarts: 1 });
+			return;
+		}
+
 		// Build vocabulary from tokens if not provided
-		const vocabulary = options.vocabulary || [...new Set(tokens)];
-		this.initializeParameters(vocabulary);
+		const vocabulary = options.vocabulary || [...new Set(sequences.flat())];
+		let best = null;
+
+		for (let restart = 1; restart <= this.restarts; restart++) {
+			this.initializeParameters(vocabulary, options.randomFn);
+			const logLikelihood = yield* this.baumWelch(sequences, options, {
+				restart,
+				restarts: this.restarts,
+			});
+
+			if (!best || logLikelihood > best.logLikelihood) {
+				best = {
+					logLikelihood,
+					initial: this.initial,
+					transitions: this.transitions,
+					emissions: this.emissions,
+				};
+			}
+		}
 
-		let prevLogLikelihood = -Infinity;
-		let converged = false;
+		this.initial = best.initial;
+		this.transitions = best.transitions;
+		this.emissions = best.emissions;
+	}
 
-		for (let iter = 0; iter < this.maxIterations && !converged; iter++) {
-			// Forward-Backward algorithm
-			const { alpha, beta, scaleFactors, logLikelihood } =
-				this.forwardBackward(tokens);
+	/**
+	 * Estimate the parameters from tagged sentences by counting: tag
+	 * bigrams and sentence-initial tags get TRANSITION_SMOOTHING added, and
+	 * each tag's word counts get emissionSmoothing
+	 * @param {Array<Array<{token: string, tag: string}>>} sentences - Tagged sentences
+	 */
+	trainTagged(sentences) {
+		const tags = [];
+		const vocabulary = [];
+		const tagIndex = new Map();
+		const tokenIndex = new Map();
+		for (const sentence of sentences) {
+			for (const { token, tag } of sentence) {
+				if (!tagIndex.has(tag)) {
+					tagIndex.set(tag, tags.length);
+					tags.push(tag);
+				}
+				if (!tokenIndex.has(token)) {
+					tokenIndex.set(token, vocabulary.length);
+					vocabulary.push(token);
+				}
+			}
+		}
 
-			// Check for convergence
-			if (Math.abs(logLikelihood - prevLogLikelihood) < this.tolerance) {
-				converged = true;
+		const N = tags.length;
+		const V = vocabulary.length;
+		const initial = new Array(N).fill(TRANSITION_SMOOTHING);
+		const transitions = Array.from({ length: N }, () =>
+			new Array(N).fill(TRANSITION_SMOOTHING),
+		);
+		const emissions = Array.from({ length: N }, () =>
+			new Array(V).fill(this.emissionSmoothing),
+		);
+
+		for (const sentence of sentences) {
+			let previous = null;
+			for (const { token, tag } of sentence) {
+				const state = tagIndex.get(tag);
+				if (previous === null) {
+					initial[state]++;
+				} else {
+					transitions[previous][state]++;
+				}
+				emissions[state][tokenIndex.get(token)]++;
+				previous = state;
 			}
-			prevLogLikelihood = logLikelihood;
+		}
 
-			// Re-estimate parameters
-			this.reestimateParameters(tokens, alpha, beta, scaleFactors);
+		this.normalizeVector(initial);
+		this.normalizeMatrix(transitions);
+		this.normalizeMatrix(emissions);
+
+		this.numStates = N;
+		this.initial = initial;
+		this.transitions = transitions;
+		this.emissions = emissions;
+		this.indexToToken = vocabulary;
+		this.tokenToIndex = tokenIndex;
+		this.indexToState = tags;
+		this.stateToIndex = tagIndex;
+	}
+
+	/**
+	 * Run EM from the current parameters until the per-token log-likelihood
+	 * stops improving by more than the tolerance
+	 * @param {string[][]} sequences - In-vocabulary token sequences
+	 * @param {Object} options - Training options (see trainSteps)
+	 * @param {Object} progress - Fields added to every step
+	 * @yields {{iteration: number, iterations: number, logLikelihood: number}}
+	 * @returns {number} - Log-likelihood of the sequences under the final parameters
+	 */
+	*baumWelch(sequences, options, progress) {
+		const tokenCount = sequences.reduce((sum, s) => sum + s.length, 0);
+		let counts = this.expectedCounts(sequences);
+
+		for (let iter = 0; iter < this.maxIterations; iter++) {
+			const previous = counts.logLikelihood;
+			this.reestimateParameters(counts);
+			counts = this.expectedCounts(sequences);
 
 			if (options.verbose) {
 				console.log(
-					`Iteration ${iter + 1}: log-likelihood = ${logLikelihood.toFixed(2)}`,
+					`Iteration ${iter + 1}: log-likelihood = ${counts.logLikelihood.toFixed(2)}`,
 				);
 			}
+
+			yield {
+				...progress,
+				iteration: iter + 1,
+				iterations: this.maxIterations,
+				logLikelihood: counts.logLikelihood,
+			};
+
+			if (
+				Math.abs(counts.logLikelihood - previous) / tokenCount <
+				this.tolerance
+			) {
+				break;
+			}
 		}
+
+		return counts.logLikelihood;
 	}
 
 	/**
-	 * Forward-Backward algorithm
-	 * @param {string[]} tokens - Sequence of tokens
-	 * @returns {Object} - Forward/backward matrices and scaling factors
+	 * Forward algorithm with per-step scaling
+	 * @param {string[]} tokens - Sequence of in-vocabulary tokens
+	 * @returns {Object} - Scaled forward matrix, scaling factors, per-token
+	 *   probabilities P(token_t | tokens_0..t-1) and log likelihood
 	 */
-	forwardBackward(tokens) {
+	forward(tokens) {
 		const T = tokens.length;
 		const N = this.numStates;
 
 		// Forward variables (alpha) and scaling factors
 		const alpha = Array.from({ length: T }, () => new Array(N).fill(0));
 		const scaleFactors = new Array(T).fill(0);
+		const tokenProbabilities = new Array(T).fill(0);
 
 		// Initialize alpha
 		const firstTokenIdx = this.tokenToIndex.get(tokens[0]);
@@ -199,6 +511,7 @@ export class HMModel extends TextModel {
 		}
 
 		// Scale alpha[0][i]
+		tokenProbabilities[0] = scaleFactors[0];
 		scaleFactors[0] = scaleFactors[0] || 1; // prevent division by zero
 		for (let i = 0; i < N; i++) {
 			alpha[0][i] /= scaleFactors[0];
@@ -217,186 +530,346 @@ export class HMModel extends TextModel {
 			}
 
 			// Scale alpha[t][j]
+			tokenProbabilities[t] = scaleFactors[t];
 			scaleFactors[t] = scaleFactors[t] || 1;
 			for (let j = 0; j < N; j++) {
 				alpha[t][j] /= scaleFactors[t];
 			}
 		}
 
+		// Compute log likelihood; -Infinity if some token was impossible
+		let logLikelihood = 0;
+		for (let t = 0; t < T; t++) {
+			logLikelihood += Math.log(tokenProbabilities[t]);
+		}
+
+		return { alpha, scaleFactors, tokenProbabilities, logLikelihood };
+	}
+
+	/**
+	 * Forward-Backward algorithm with the forward pass's scaling, so that
+	 * alpha[t][i] * beta[t][i] is P(state_i at t | tokens)
+	 * @param {string[]} tokens - Sequence of in-vocabulary tokens
+	 * @returns {Object} - Forward/backward matrices, scaling factors and log likelihood
+	 */
+	forwardBackward(tokens) {
+		const T = tokens.length;
+		const N = this.numStates;
+		const { alpha, scaleFactors, logLikelihood } = this.forward(tokens);
+
 		// Backward variables (beta)
 		const beta = Array.from({ length: T }, () => new Array(N).fill(0));
-
-		// Initialize beta
-		for (let i = 0; i < N; i++) {
-			beta[T - 1][i] = 1 / scaleFactors[T - 1];
-		}
+		beta[T - 1].fill(1);
 
 		// Recursion for backward pass
 		for (let t = T - 2; t >= 0; t--) {
 			const nextTokenIdx = this.tokenToIndex.get(tokens[t + 1]);
 			for (let i = 0; i < N; i++) {
-				beta[t][i] = 0;
+				let sum = 0;
 				for (let j = 0; j < N; j++) {
-					beta[t][i] +=
+					sum +=
 						this.transitions[i][j] *
 						this.emissions[j][nextTokenIdx] *
 						beta[t + 1][j];
 				}
-				beta[t][i] /= scaleFactors[t];
+				beta[t][i] = sum / scaleFactors[t + 1];
 			}
 		}
 
-		// Compute log likelihood
-		let logLikelihood = 0;
-		for (let t = 0; t < T; t++) {
-			logLikelihood += Math.log(scaleFactors[t]);
-		}
-
 		return { alpha, beta, scaleFactors, logLikelihood };
 	}
 
 	/**
-	 * Re-estimate model parameters using EM
-	 * @param {string[]} tokens - Training tokens
-	 * @param {number[][]} alpha - Forward probabilities
-	 * @param {number[][]} beta - Backward probabilities
-	 * @param {number[]} scaleFactors - Scaling factors
+	 * Score each token by its forward-algorithm conditional probability.
+	 * Out-of-vocabulary tokens are skipped by the forward pass.
+	 * @param {string[]} tokens - Normalized tokens
+	 * @returns {Array<{token: string, probability: number, oov: boolean}>}
 	 */
-	reestimateParameters(tokens, alpha, beta, scaleFactors) {
-		const T = tokens.length;
+	scoreSequence(tokens) {
+		const known = tokens.filter((token) => this.tokenToIndex.has(token));
+		const { tokenProbabilities } =
+			known.length > 0 ? this.forward(known) : { tokenProbabilities: [] };
+
+		let t = 0;
+		return tokens.map((token) => {
+			if (!this.tokenToIndex.has(token)) {
+				return { token, probability: 0, oov: true };
+			}
+			return { token, probability: tokenProbabilities[t++], oov: false };
+		});
+	}
+
+	/**
+	 * E-step: expected state, transition and emission counts summed over
+	 * every sequence. Sequences impossible under the current parameters are
+	 * skipped.
+	 * @param {string[][]} sequences - In-vocabulary token sequences
+	 * @returns {{initial: number[], transitions: number[][], emissions: number[][], logLikelihood: number}}
+	 */
+	expectedCounts(sequences) {
 		const N = this.numStates;
 		const V = this.indexToToken.length;
+		const counts = {
+			initial: new Array(N).fill(0),
+			transitions: Array.from({ length: N }, () => new Array(N).fill(0)),
+			emissions: Array.from({ length: N }, () => new Array(V).fill(0)),
+			logLikelihood: 0,
+		};
 
-		// Compute gamma (state probabilities) and xi (transition probabilities)
-		const gamma = Array.from({ length: T }, () => new Array(N).fill(0));
-		const xi = Array.from({ length: T - 1 }, () =>
-			Array.from({ length: N }, () => new Array(N).fill(0)),
-		);
-
-		// Compute gamma and xi
-		for (let t = 0; t < T - 1; t++) {
-			const tokenIdx = this.tokenToIndex.get(tokens[t + 1]);
-			const sumGamma = scaleFactors[t] > 0 ? 1 / scaleFactors[t] : 0;
-
-			for (let i = 0; i < N; i++) {
-				gamma[t][i] = alpha[t][i] * beta[t][i] * sumGamma;
+		for (const tokens of sequences) {
+			const { alpha, beta, scaleFactors, logLikelihood } =
+				this.forwardBackward(tokens);
+			if (!Number.isFinite(logLikelihood)) continue;
+			counts.logLikelihood += logLikelihood;
 
-				for (let j = 0; j < N; j++) {
-					xi[t][i][j] =
-						alpha[t][i] *
-						this.transitions[i][j] *
-						this.emissions[j][tokenIdx] *
-						beta[t + 1][j];
+			const indices = tokens.map((token) => this.tokenToIndex.get(token));
+			for (let t = 0; t < tokens.length; t++) {
+				for (let i = 0; i < N; i++) {
+					const gamma = alpha[t][i] * beta[t][i];
+					counts.emissions[i][indices[t]] += gamma;
+					if (t === 0) {
+						counts.initial[i] += gamma;
+					}
 				}
 			}
 
-			// Normalize xi[t][i][j]
-			let sumXi = 0;
-			for (let i = 0; i < N; i++) {
+			for (let t = 0; t < tokens.length - 1; t++) {
+				const k = indices[t + 1];
 				for (let j = 0; j < N; j++) {
-					sumXi += xi[t][i][j];
-				}
-			}
-
-			if (sumXi > 0) {
-				for (let i = 0; i < N; i++) {
-					for (let j = 0; j < N; j++) {
-						xi[t][i][j] /= sumXi;
+					const next =
+						(this.emissions[j][k] * beta[t + 1][j]) / scaleFactors[t + 1];
+					for (let i = 0; i < N; i++) {
+						counts.transitions[i][j] +=
+							alpha[t][i] * this.transitions[i][j] * next;
 					}
 				}
 			}
 		}
 
-		// Handle last time step for gamma
-		const sumGammaLast = scaleFactors[T - 1] > 0 ? 1 / scaleFactors[T - 1] : 0;
-		for (let i = 0; i < N; i++) {
-			gamma[T - 1][i] = alpha[T - 1][i] * beta[T - 1][i] * sumGammaLast;
-		}
-
-		// Re-estimate initial state probabilities
-		for (let i = 0; i < N; i++) {
-			this.initial[i] = gamma[0][i];
-		}
-
-		// Re-estimate transition probabilities
-		for (let i = 0; i < N; i++) {
-			let sumGamma = 0;
-			for (let t = 0; t < T - 1; t++) {
-				sumGamma += gamma[t][i];
-			}
+		return counts;
+	}
 
-			for (let j = 0; j < N; j++) {
-				let sumXi = 0;
-				for (let t = 0; t < T - 1; t++) {
-					sumXi += xi[t][i][j];
-				}
+	/**
+	 * M-step: replace the parameters with normalized expected counts, adding
+	 * emissionSmoothing to every emission count first
+	 * @param {Object} counts - Output of expectedCounts()
+	 */
+	reestimateParameters(counts) {
+		const { initial, transitions, emissions } = counts;
 
-				this.transitions[i][j] = sumGamma > 0 ? sumXi / sumGamma : 1 / N;
+		for (const row of emissions) {
+			for (let k = 0; k < row.length; k++) {
+				row[k] += this.emissionSmoothing;
 			}
 		}
 
-		// Re-estimate emission probabilities
-		for (let i = 0; i < N; i++) {
-			let sumGamma = 0;
-			for (let t = 0; t < T; t++) {
-				sumGamma += gamma[t][i];
-			}
-
-			for (let j = 0; j < V; j++) {
-				let sumGammaEmit = 0;
-				for (let t = 0; t < T; t++) {
-					if (this.tokenToIndex.get(tokens[t]) === j) {
-						sumGammaEmit += gamma[t][i];
-					}
-				}
+		this.normalizeVector(initial);
+		this.normalizeMatrix(transitions);
+		this.normalizeMatrix(emissions);
 
-				this.emissions[i][j] = sumGamma > 0 ? sumGammaEmit / sumGamma : 1 / V;
-			}
-		}
+		this.initial = initial;
+		this.transitions = transitions;
+		this.emissions = emissions;
 	}
 
 	/**
-	 * Generate text from the HMM
+	 * Generate text from the HMM, one token at a time
 	 * @param {GenerationContext} context - Generation parameters
+	 * @param {number} context.max_tokens - Maximum number of tokens to generate
+	 * @param {number} context.min_tokens - Minimum number of tokens to generate
+	 * @param {string[]} context.stop - Stop sequences that end generation
+	 * @param {string} context.prompt - Specific starting text (optional)
+	 * @param {Function} context.randomFn - Custom random function
+	 * @param {boolean} context.allowRepetition - Allow immediate token repetition
+	 * @param {number} context.temperature - Randomness of emissions (0-2, default: 1)
+	 * @yields {Object} - The prompt tokens, then each emitted token
 	 * @returns {GenerationResult} - Generated text and metadata
 	 */
-	generate(context = new GenerationContext()) {
+	*generateTokens(context = new GenerationContext()) {
 		const {
 			max_tokens = 100,
-			min_tokens = 50,
-			stop_tokens = ['.', '!', '?'],
+			prompt = null,
+			randomFn = random,
+			allowRepetition = true,
 		} = context;
 
+		if (max_tokens < 1) {
+			throw new Error('max_tokens must be at least 1');
+		}
+
 		if (!this.transitions || !this.emissions) {
 			throw new Error('Model has not been trained');
 		}
 
 		const generatedTokens = [];
-		let currentState = this.sampleInitialState(context.randomFn);
+		const constraints = LexicalConstraints.fromContext(
+			this,
+			context,
+			generatedTokens,
+		);
+		// Model probability of the last sampled token, reported with it
+		let probability = null;
+		const sampling = {
+			...getSamplingOptions(context),
+			constraints,
+			onSample: (token, p) => (probability = p),
+		};
+		const stopConditions = StopConditions.fromContext(this, context);
+		let currentState;
+
+		// The text starts with the whole prompt, words the model never saw
+		// included
+		const promptTokens = this.getStartTokens(prompt);
+		generatedTokens.push(...promptTokens);
+		const knownTokens = this.knownTokens(promptTokens);
+
+		if (knownTokens.length > 0) {
+			// Condition on the prompt: sample the next state from the filtered
+			// distribution over the state that emitted the last prompt token
+			const { alpha } = this.forward(knownTokens);
+			const lastState = this.sampleFromDistribution(
+				alpha[alpha.length - 1],
+				randomFn,
+			);
+			currentState = this.sampleNextState(lastState, randomFn);
+		} else {
+			currentState = this.sampleInitialState(randomFn);
+		}
+
+		yield { type: 'start', tokens: [...generatedTokens] };
+		stopConditions.begin(generatedTokens);
+
+		let attempts = 0;
+		const maxAttempts = max_tokens * 3; // Prevent infinite loops
+		let finish_reason = 'length';
+		let stop_condition = null;
+
+		while (generatedTokens.length < max_tokens && attempts < maxAttempts) {
+			attempts++;
 
-		for (let i = 0; i < max_tokens; i++) {
 			// Generate token from current state
-			const token = this.sampleEmission(currentState, context.randomFn);
+			const token = this.sampleEmission(currentState, randomFn, sampling);
+
+			if (token === null) {
+				// Every emission of this state is masked by the constraints
+				finish_reason = 'constraint_unsatisfiable';
+				break;
+			}
+
+			// Check for repetition if not allowed
+			if (
+				!allowRepetition &&
+				generatedTokens.length > 0 &&
+				generatedTokens[generatedTokens.length - 1] === token
+			) {
+				continue;
+			}
+
 			generatedTokens.push(token);
+			yield { type: 'token', token, probability };
 
 			// Check stop conditions
-			if (i >= min_tokens - 1 && stop_tokens.includes(token)) {
+			const stopped = stopConditions.check(generatedTokens);
+			if (stopped && (!constraints || constraints.isSatisfied())) {
+				finish_reason = 'stop';
+				stop_condition = stopped;
 				break;
 			}
 
 			// Transition to next state
-			currentState = this.sampleNextState(currentState, context.randomFn);
+			currentState = this.sampleNextState(currentState, randomFn);
+		}
+
+		if (constraints && !constraints.isSatisfied()) {
+			finish_reason = 'constraint_unsatisfiable';
 		}
 
-		const text = this.postProcess(generatedTokens);
+		const text = this.postProcess(generatedTokens, context);
 		return new GenerationResult(text, {
 			tokens: generatedTokens,
 			length: generatedTokens.length,
 			model: 'hmm',
-			finish_reason: 'length',
+			finish_reason: finish_reason,
+			stop_condition,
+			attempts: attempts,
+			seed: context.seed,
 		});
 	}
 
+	/**
+	 * @override
+	 * Generation starts from the whole prompt and is conditioned on its
+	 * in-vocabulary tokens
+	 * @param {string|null} prompt - Optional starting text
+	 * @returns {string[]} - Start tokens (possibly empty)
+	 */
+	getStartTokens(prompt) {
+		return this.splitPrompt(prompt);
+	}
+
+	/**
+	 * Tokens of a history the hidden state can be inferred from
+	 * @param {string[]} tokens - Token history
+	 * @returns {string[]} - Its in-vocabulary tokens; words the model never
+	 *   saw tell nothing about the state
+	 */
+	knownTokens(tokens) {
+		return tokens.filter((token) => this.tokenToIndex.has(token));
+	}
+
+	/**
+	 * @override
+	 * Predictive distribution P(next token | history), marginalizing over the
+	 * hidden state
+	 * @param {string[]} history - Tokens so far; unknown words are skipped
+	 * @returns {Array<{token: string, probability: number}>}
+	 */
+	getNextTokenDistribution(history) {
+		const N = this.numStates;
+		let stateDistribution = this.initial;
+		const knownTokens = this.knownTokens(history);
+
+		if (knownTokens.length > 0) {
+			const { alpha } = this.forward(knownTokens);
+			const last = alpha[alpha.length - 1];
+			stateDistribution = new Array(N).fill(0);
+			for (let i = 0; i < N; i++) {
+				for (let j = 0; j < N; j++) {
+					stateDistribution[j] += last[i] * this.transitions[i][j];
+				}
+			}
+		}
+
+		return this.indexToToken.map((token, k) => {
+			let probability = 0;
+			for (let j = 0; j < N; j++) {
+				probability += stateDistribution[j] * this.emissions[j][k];
+			}
+			return { token, probability };
+		});
+	}
+
+	/**
+	 * Sample an index from a probability vector
+	 * @param {number[]} distribution - Probabilities (need not be normalized)
+	 * @param {Function} randomFn - Random number generator
+	 * @returns {number} - Sampled index
+	 */
+	sampleFromDistribution(distribution, randomFn = random) {
+		const total = distribution.reduce((sum, p) => sum + p, 0);
+		const r = randomFn() * total;
+		let cumProb = 0;
+
+		for (let i = 0; i < distribution.length; i++) {
+			cumProb += distribution[i];
+			if (r <= cumProb) {
+				return i;
+			}
+		}
+
+		return distribution.length - 1; // fallback
+	}
+
 	/**
 	 * Sample initial state
 	 * @param {Function} randomFn - Random number generator
@@ -440,69 +913,73 @@ export class HMModel extends TextModel {
 	 * Sample emission from current state
 	 * @param {number} state - Current state index
 	 * @param {Function} randomFn - Random number generator
-	 * @returns {string} - Generated token
+	 * @param {Object} sampling - Temperature and truncation options (see Sampling.js)
+	 * @returns {string|null} - Generated token, or null if constraints mask
+	 *   every emission
 	 */
-	sampleEmission(state, randomFn = random) {
-		const r = randomFn();
-		let cumProb = 0;
-
-		for (let i = 0; i < this.indexToToken.length; i++) {
-			cumProb += this.emissions[state][i];
-			if (r <= cumProb) {
-				return this.indexToToken[i];
-			}
-		}
-
-		return this.indexToToken[this.indexToToken.length - 1]; // fallback
+	sampleEmission(state, randomFn = random, sampling = getSamplingOptions()) {
+		const candidates = this.indexToToken.map((token, i) => ({
+			token,
+			probability: this.emissions[state][i],
+		}));
+		return sampleToken(candidates, sampling, randomFn);
 	}
 
 	/**
-	 * Find most likely state sequence (Viterbi algorithm)
+	 * Find most likely state sequence (Viterbi algorithm), in log space so
+	 * long sequences don't underflow. Out-of-vocabulary tokens say nothing
+	 * about the state that emitted them.
 	 * @param {string[]} tokens - Input tokens
 	 * @returns {string[]} - Most likely state sequence
 	 */
 	viterbi(tokens) {
 		const T = tokens.length;
 		const N = this.numStates;
+		if (T === 0) return [];
+
+		const logTransitions = this.transitions.map((row) => row.map(Math.log));
+		const logEmissions = (token) => {
+			const tokenIdx = this.tokenToIndex.get(token);
+			return tokenIdx === undefined
+				? new Array(N).fill(0)
+				: this.emissions.map((row) => Math.log(row[tokenIdx]));
+		};
 
-		// Viterbi table and backpointer
+		// Viterbi table of log probabilities and backpointer
 		const viterbi = Array.from({ length: T }, () => new Array(N).fill(0));
 		const backpointer = Array.from({ length: T }, () => new Array(N).fill(0));
 
 		// Initialize
-		const firstTokenIdx = this.tokenToIndex.get(tokens[0]);
+		const firstEmissions = logEmissions(tokens[0]);
 		for (let i = 0; i < N; i++) {
-			viterbi[0][i] = this.initial[i] * this.emissions[i][firstTokenIdx];
-			backpointer[0][i] = 0;
+			viterbi[0][i] = Math.log(this.initial[i]) + firstEmissions[i];
 		}
 
 		// Recursion
 		for (let t = 1; t < T; t++) {
-			const tokenIdx = this.tokenToIndex.get(tokens[t]);
+			const emissions = logEmissions(tokens[t]);
 
 			for (let j = 0; j < N; j++) {
-				let maxProb = 0;
+				let maxLogProb = -Infinity;
 				let bestState = 0;
 
 				for (let i = 0; i < N; i++) {
-					const prob = viterbi[t - 1][i] * this.transitions[i][j];
-					if (prob > maxProb) {
-						maxProb = prob;
+					const logProb = viterbi[t - 1][i] + logTransitions[i][j];
+					if (logProb > maxLogProb) {
+						maxLogProb = logProb;
 						bestState = i;
 					}
 				}
 
-				viterbi[t][j] = maxProb * this.emissions[j][tokenIdx];
+				viterbi[t][j] = maxLogProb + emissions[j];
 				backpointer[t][j] = bestState;
 			}
 		}
 
 		// Termination
-		let bestPathProb = 0;
 		let bestLastState = 0;
-		for (let i = 0; i < N; i++) {
-			if (viterbi[T - 1][i] > bestPathProb) {
-				bestPathProb = viterbi[T - 1][i];
+		for (let i = 1; i < N; i++) {
+			if (viterbi[T - 1][i] > viterbi[T - 1][bestLastState]) {
 				bestLastState = i;
 			}
 		}
@@ -518,32 +995,40 @@ export class HMModel extends TextModel {
 	}
 
 	/**
-	 * Post-process generated tokens into readable text
-	 * @param {string[]} tokens - Generated tokens
-	 * @returns {string} - Formatted text
+	 * @override
+	 * Tag tokens with their Viterbi states: tags for supervised models,
+	 * state names such as state_3 otherwise
+	 * @param {string[]} tokens - Tokens, tokenized as for training
+	 * @returns {Array<{token: string, tag: string}>}
 	 */
+	tag(tokens) {
+		const states = this.viterbi(tokens);
+		return tokens.map((token, i) => ({ token, tag: states[i] }));
+	}
+
 	/**
-	 * Post-process generated tokens into readable text
-	 * @param {string[]} tokens - The tokens to process
-	 * @returns {string} - The processed text
+	 * @override
+	 * What each state emits and where it goes next, most likely first
+	 * @param {number} top - Emissions and successors to list per state (default: 10)
+	 * @returns {Array<{state: string, initial: number, emissions: Array<{token: string, probability: number}>, successors: Array<{state: string, probability: number}>}>}
 	 */
-	postProcess(tokens) {
-		if (tokens.length === 0) return '';
-
-		let text = tokens.join(' ');
-
-		// Basic punctuation cleanup
-		text = text
-			.replace(/\s+([.!?;:,'")\]}])/g, '$1')
-			.replace(/([.!?;:,])(\w)/g, '$1 $2')
-			.replace(/\s+(['"])/g, ' $1')
-			.replace(/(['"()])\s+/g, '$1 ')
-			.replace(/([.!?])\s+(\w)/g, (_, p, l) => `${p} ${l.toUpperCase()}`)
-			.replace(/^\w/, (m) => m.toUpperCase())
-			.replace(/\s+/g, ' ')
-			.trim();
+	describeStates(top = 10) {
+		if (!this.transitions || !this.emissions) {
+			throw new Error('Model has not been trained');
+		}
 
-		return text;
+		const mostLikely = (probabilities, name, key) =>
+			probabilities
+				.map((probability, i) => ({ [key]: name[i], probability }))
+				.sort((a, b) => b.probability - a.probability)
+				.slice(0, top);
+
+		return this.indexToState.map((state, i) => ({
+			state,
+			initial: this.initial[i],
+			emissions: mostLikely(this.emissions[i], this.indexToToken, 'token'),
+			successors: mostLikely(this.transitions[i], this.indexToState, 'state'),
+		}));
 	}
 
 	/**
@@ -554,6 +1039,7 @@ export class HMModel extends TextModel {
 		return {
 			modelType: this.modelType,
 			numStates: this.numStates,
+			supervised: this.supervised,
 			vocabularySize: this.indexToToken.length,
 			transitions: this.transitions ? this.transitions.length : 0,
 			emissions: this.emissions ? this.emissions.length : 0,
@@ -567,7 +1053,10 @@ export class HMModel extends TextModel {
 	toJSON() {
 		return {
 			modelType: this.modelType,
+			...this.tokenizerToJSON(),
 			numStates: this.numStates,
+			supervised: this.supervised,
+			emissionSmoothing: this.emissionSmoothing,
 			transitions: this.transitions,
 			emissions: this.emissions,
 			initial: this.initial,
@@ -587,6 +1076,9 @@ export class HMModel extends TextModel {
 
 		this.modelType = data.modelType || 'hmm';
 		this.numStates = data.numStates || 10;
+		this.emissionSmoothing = data.emissionSmoothing ?? 0.1;
+		this.supervised = data.supervised ?? false;
+		this.tokenizerFromJSON(data);
 		this.transitions = data.transitions || null;
 		this.emissions = data.emissions || null;
 		this.initial = data.initial || null;
@@ -601,3 +1093,22 @@ export class HMModel extends TextModel {
 		this.indexToState.forEach((state, i) => this.stateToIndex.set(state, i));
 	}
 }
+
+/**
+ * Split a token stream into sentences after each sentence-ending token
+ * @param {string[]} tokens - Tokens in corpus order
+ * @returns {string[][]} - Sentences; the last may lack an ending
+ */
+function splitSentences(tokens) {
+	const tokenizer = new Tokenizer();
+	const sentences = [[]];
+	for (const token of tokens) {
+		sentences[sentences.length - 1].push(token);
+		if (tokenizer.isSentenceEnd(token)) {
+			sentences.push([]);
+		}
+	}
+	return sentences;
+}
+
+registerModelType(HMModel);
@@ -0,0 +1,165 @@
+/**
+ * Reader for part-of-speech (or any other) tagged corpora.
+ *
+ * Two layouts are recognized from the text itself:
+ *
+ * - word/TAG: whitespace-separated tokens such as "The/DT dog/NN ./.",
+ *   split at their last slash so "1/2/CD" is the word "1/2"
+ * - CoNLL columns: one token per line, sentences separated by blank lines
+ *   and "#" comment lines ignored. When the first column is a token number
+ *   (CoNLL-U) the word is column 2 and the tag column 4 (UPOS); otherwise
+ *   the word is column 1 and the tag column 2, as in CoNLL-2003, whose
+ *   -DOCSTART- lines are skipped
+ *
+ * word/TAG text is split into sentences at line breaks and after
+ * sentence-ending words.
+ */
+
+/**
+ * Parse a tagged corpus into sentences of tagged tokens
+ * @param {string} text - Corpus text
+ * @param {Object} options - Parsing options
+ * @param {boolean} options.caseSensitive - Keep the case of words; tags
+ *   always keep theirs (default: false)
+ * @param {Function} options.isSentenceEnd - Whether a word ends a sentence
+ *   (word/TAG text only)
+ * @returns {Array<Array<{token: string, tag: string}>>} - Non-empty sentences
+ */
+export function parseTaggedCorpus(text, options = {}) {
+	const { caseSensitive = false, isSentenceEnd = () => false } = options;
+	const lines = text.split(/\r?\n/);
+
+	const sentences = isConll(lines)
+		? readConll(lines)
+		: readSlashTagged(lines, isSentenceEnd);
+
+	if (sentences.length === 0) {
+		throw new Error(
+			'Tagged corpus is empty: expected word/TAG tokens or CoNLL columns',
+		);
+	}
+
+	return caseSensitive
+		? sentences
+		: sentences.map((sentence) =>
+				sentence.map(({ token, tag }) => ({ token: token.toLowerCase(), tag })),
+			);
+}
+
+/**
+ * Whether a corpus is in CoNLL columns: every token line has the same
+ * number of columns, at least two, and isn't made of word/TAG tokens.
+ * Lines of prose differ in length, so they don't pass.
+ * @param {string[]} lines - Corpus lines
+ * @returns {boolean}
+ */
+function isConll(lines) {
+	const tokenLines = lines.filter(
+		(line) => line.trim() && !line.startsWith('#'),
+	);
+	if (tokenLines.length < 2) {
+		return false;
+	}
+
+	const width = columnsOf(tokenLines[0]).length;
+	return (
+		width >= 2 &&
+		tokenLines.every((line) => {
+			const columns = columnsOf(line);
+			return columns.length === width && !columns.every(isSlashTagged);
+		})
+	);
+}
+
+/**
+ * @param {string} line - CoNLL line
+ * @returns {string[]} - Its tab-separated columns, or space-separated
+ *   columns if it has no tabs
+ */
+function columnsOf(line) {
+	return line.includes('\t') ? line.split('\t') : line.trim().split(/ +/);
+}
+
+/**
+ * @param {string} token - Whitespace-separated token
+ * @returns {boolean} - Whether it is a word/TAG token
+ */
+function isSlashTagged(token) {
+	const slash = token.lastIndexOf('/');
+	return slash > 0 && slash < token.length - 1;
+}
+
+/**
+ * Read CoNLL columns
+ * @param {string[]} lines - Corpus lines
+ * @returns {Array<Array<{token: string, tag: string}>>}
+ */
+function readConll(lines) {
+	const sentences = [];
+	let sentence = [];
+	const endSentence = () => {
+		if (sentence.length > 0) {
+			sentences.push(sentence);
+			sentence = [];
+		}
+	};
+
+	for (const line of lines) {
+		if (!line.trim()) {
+			endSentence();
+			continue;
+		}
+		if (line.startsWith('#') || line.startsWith('-DOCSTART-')) continue;
+
+		const columns = columnsOf(line);
+		if (/^\d+$/.test(columns[0])) {
+			// CoNLL-U: ID FORM LEMMA UPOS ...
+			if (columns.length < 4) {
+				throw new Error(`CoNLL-U line has no UPOS column: ${line}`);
+			}
+			sentence.push({ token: columns[1], tag: columns[3] });
+		} else if (/^\d+[-.]\d+$/.test(columns[0])) {
+			// Multiword token ranges and empty nodes carry no tag of their own
+			continue;
+		} else {
+			sentence.push({ token: columns[0], tag: columns[1] });
+		}
+	}
+	endSentence();
+
+	return sentences;
+}
+
+/**
+ * Read word/TAG tokens
+ * @param {string[]} lines - Corpus lines
+ * @param {Function} isSentenceEnd - Whether a word ends a sentence
+ * @returns {Array<Array<{token: string, tag: string}>>}
+ */
+function readSlashTagged(lines, isSentenceEnd) {
+	const sentences = [];
+
+	for (const line of lines) {
+		let sentence = [];
+		for (const item of line.trim().split(/\s+/)) {
+			if (!item) continue;
+			if (!isSlashTagged(item)) {
+				throw new Error(`Expected a word/TAG token, got: ${item}`);
+			}
+
+			const slash = item.lastIndexOf('/');
+			const token = item.slice(0, slash);
+			sentence.push({ token, tag: item.slice(slash + 1) });
+
+			if (isSentenceEnd(token)) {
+				sentences.push(sentence);
+				sentence = [];
+			}
+		}
+		if (sentence.length > 0) {
+			sentences.push(sentence);
+		}
+	}
+
+	return sentences;
+}
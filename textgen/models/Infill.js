@@ -0,0 +1,202 @@
+import { GenerationResult } from './Interfaces.js';
+import { scoreBeam } from './BeamSearch.js';
+
+/**
+ * Text infilling: find a bridge of tokens that connects a prefix to a suffix.
+ *
+ * Runs a beam search on the forward model from the end of the prefix. A
+ * reverse index over the model's transition graph gives, for every context,
+ * the fewest tokens still needed before the suffix can follow; candidates
+ * that could no longer reach the suffix within the length budget are
+ * dropped. Models without a graph (smoothed n-grams, HMMs) can reach the
+ * suffix from anywhere, so nothing is dropped for them. A bridge is
+ * complete once it holds at least one token and the model gives the first
+ * `order` suffix tokens a nonzero probability after it.
+ */
+
+/**
+ * Fewest tokens needed after each context before `target` can follow
+ * @param {TextModel} model - Model whose contexts are measured
+ * @param {Map<string, Set<string>>} graph - Output of model.getTransitionGraph()
+ * @param {string} target - Token to reach
+ * @param {number} limit - Longest distance worth computing
+ * @returns {Map<string, number>} - context key -> tokens still needed (0:
+ *   target can follow directly); contexts that can't reach it are absent
+ */
+export function getBridgeLengths(model, graph, target, limit) {
+	const predecessors = new Map();
+	let frontier = [];
+	for (const [key, next] of graph) {
+		for (const token of next) {
+			if (token === target) {
+				frontier.push(key);
+			}
+			const nextKey = model.getContextKey([...key.split(' '), token]);
+			if (!predecessors.has(nextKey)) {
+				predecessors.set(nextKey, []);
+			}
+			predecessors.get(nextKey).push(key);
+		}
+	}
+
+	const lengths = new Map(frontier.map((key) => [key, 0]));
+	for (let distance = 1; distance <= limit && frontier.length > 0; distance++) {
+		const next = [];
+		for (const key of frontier) {
+			for (const previous of predecessors.get(key) || []) {
+				if (!lengths.has(previous)) {
+					lengths.set(previous, distance);
+					next.push(previous);
+				}
+			}
+		}
+		frontier = next;
+	}
+
+	return lengths;
+}
+
+/**
+ * Fill the gap between a prefix and a suffix
+ * @param {TextModel} model - Trained model
+ * @param {Object} options - Infill options
+ * @param {string} options.prefix - Text before the gap
+ * @param {string} options.suffix - Text after the gap
+ * @param {number} options.max_tokens - Longest bridge to consider (default: 20)
+ * @param {number} options.beam_width - Bridges kept per step (default: 8)
+ * @param {number} options.length_penalty - Score = logprob / length^length_penalty (default: 0)
+ * @param {number} options.return_beams - Number of best bridges to return (default: 1)
+ * @returns {GenerationResult} - Best prefix + bridge + suffix, with the top
+ *   `return_beams` in `beams` as {text, tokens, bridge, logprob, score}
+ */
+export function infill(model, options = {}) {
+	const {
+		prefix,
+		suffix,
+		max_tokens = 20,
+		beam_width = 8,
+		length_penalty = 0,
+		return_beams = 1,
+	} = options;
+
+	if (!prefix || !suffix) {
+		throw new Error('Infill needs a non-empty prefix and suffix');
+	}
+
+	// Both ends are tokenized like the corpus, so punctuation splits off
+	const prefixTokens = model.tokenizeText(prefix);
+	const suffixTokens = model.tokenizeText(suffix);
+
+	// Past the model's order, suffix probabilities no longer depend on the bridge
+	const join = suffixTokens.slice(0, model.order || suffixTokens.length);
+	const graph = model.getTransitionGraph();
+	const bridgeLengths = graph
+		? getBridgeLengths(model, graph, join[0], max_tokens)
+		: null;
+
+	/**
+	 * Whether the suffix can still follow a context within `remaining` tokens
+	 * @param {string[]} history - Prefix and bridge tokens
+	 * @param {number} remaining - Bridge tokens left after the last one
+	 * @returns {boolean}
+	 */
+	const canReach = (history, remaining) =>
+		!bridgeLengths ||
+		bridgeLengths.get(model.getContextKey(history)) <= remaining;
+
+	/**
+	 * Log-probability of the join tokens after a history, or null if the
+	 * model can't produce them there
+	 * @param {string[]} history - Prefix and bridge tokens
+	 * @returns {number|null}
+	 */
+	const connect = (history) => {
+		const tokens = [...history];
+		let logprob = 0;
+		for (const token of join) {
+			const probability =
+				model
+					.getNextTokenDistribution(tokens)
+					.find((candidate) => candidate.token === token)?.probability || 0;
+			if (!(probability > 0)) return null;
+			logprob += Math.log(probability);
+			tokens.push(token);
+		}
+		return logprob;
+	};
+
+	// Every bridge length from one token up to the budget is tried
+	let beams = [{ bridge: [], logprob: 0 }];
+	const finished = [];
+
+	for (let step = 0; step <= max_tokens && beams.length > 0; step++) {
+		const candidates = [];
+		const remaining = max_tokens - step - 1;
+
+		for (const beam of beams) {
+			const history = [...prefixTokens, ...beam.bridge];
+
+			const joinLogprob = beam.bridge.length > 0 ? connect(history) : null;
+			if (joinLogprob !== null) {
+				const logprob = beam.logprob + joinLogprob;
+				finished.push({
+					...beam,
+					logprob,
+					score: scoreBeam(
+						logprob,
+						beam.bridge.length + join.length,
+						length_penalty,
+					),
+				});
+			}
+
+			if (remaining < 0) continue;
+
+			for (const { token, probability } of model.getNextTokenDistribution(
+				history,
+			)) {
+				if (!(probability > 0) || !canReach([...history, token], remaining)) {
+					continue;
+				}
+				const logprob = beam.logprob + Math.log(probability);
+				candidates.push({
+					bridge: [...beam.bridge, token],
+					logprob,
+					score: scoreBeam(logprob, beam.bridge.length + 1, length_penalty),
+				});
+			}
+		}
+
+		candidates.sort((a, b) => b.score - a.score);
+		beams = candidates.slice(0, beam_width);
+	}
+
+	if (finished.length === 0) {
+		throw new Error(
+			`No bridge of at most ${max_tokens} tokens connects the prefix to the suffix`,
+		);
+	}
+
+	const top = finished
+		.sort((a, b) => b.score - a.score)
+		.slice(0, return_beams)
+		.map((beam) => {
+			const tokens = [...prefixTokens, ...beam.bridge, ...suffixTokens];
+			return {
+				text: model.postProcess(tokens),
+				tokens,
+				bridge: beam.bridge,
+				logprob: beam.logprob,
+				score: beam.score,
+			};
+		});
+
+	const best = top[0];
+	return new GenerationResult(best.text, {
+		tokens: best.tokens,
+		length: best.bridge.length,
+		model: model.modelType,
+		finish_reason: 'stop',
+		beams: top,
+	});
+}
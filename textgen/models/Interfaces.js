@@ -1,16 +1,169 @@
+import { CHARACTER_METHODS, Tokenizer } from './Tokenizer.js';
+import { BPETokenizer } from './BPETokenizer.js';
+import { DETOKENIZER_RULES, Detokenizer } from './Detokenizer.js';
+import { RNG } from './RNG.js';
+
 /**
  * Base class for all text generation models.
  * @abstract
  */
 export class TextModel {
+	// Options shared by every model type; subclasses spread these into theirs
+	static optionsSchema = {
+		tokenization: {
+			type: 'string',
+			description: 'How the corpus is split into tokens',
+			enum: ['word', 'whitespace', 'char', 'grapheme', 'bpe'],
+			default: 'word',
+		},
+		bpeVocabSize: {
+			type: 'integer',
+			description: 'Subword vocabulary size to learn (bpe)',
+			default: 1000,
+			min: 2,
+		},
+		caseSensitive: {
+			type: 'boolean',
+			description: 'Whether to preserve case during tokenization',
+			default: false,
+		},
+		paragraphs: {
+			type: 'boolean',
+			description:
+				'Keep blank lines as paragraph-break tokens (word, whitespace)',
+			default: false,
+		},
+		detokenizer: {
+			type: 'string',
+			description: 'Rules for joining generated tokens into text',
+			enum: DETOKENIZER_RULES,
+			default: 'english',
+		},
+	};
+
 	/**
 	 * @param {object} options - The model options.
+	 * @param {string} options.tokenization - Tokenization method the model is trained with (default: 'word')
+	 * @param {number} options.bpeVocabSize - Subword vocabulary size for bpe (default: 1000)
+	 * @param {boolean} options.caseSensitive - Keep case when tokenizing; bpe always lowercases (default: false)
+	 * @param {boolean} options.paragraphs - Tokenize blank lines as paragraph breaks (default: false)
+	 * @param {string} options.detokenizer - Detokenizer rule set for generated text (default: 'english')
 	 */
 	constructor(options = {}) {
 		if (new.target === TextModel) {
 			throw new Error('Cannot instantiate abstract TextModel');
 		}
 		this.options = options;
+		this.tokenization = options.tokenization || 'word';
+		this.bpeVocabSize = options.bpeVocabSize || 1000;
+		this.caseSensitive = options.caseSensitive ?? false;
+		this.paragraphs = options.paragraphs ?? false;
+		this.detokenizer = options.detokenizer || 'english';
+		// BPETokenizer holding the learned merges (bpe only)
+		this.bpe = null;
+	}
+
+	/**
+	 * Whether tokens are pieces of words (characters, graphemes or BPE
+	 * subwords) that join back without spaces
+	 * @returns {boolean}
+	 */
+	isSubwordLevel() {
+		return (
+			CHARACTER_METHODS.includes(this.tokenization) ||
+			this.tokenization === 'bpe'
+		);
+	}
+
+	/**
+	 * Learn the tokenizer from a corpus, for tokenizations that need it (bpe)
+	 * @param {string} text - Training corpus
+	 */
+	fitTokenizer(text) {
+		if (this.tokenization === 'bpe') {
+			this.bpe = new BPETokenizer({ vocabSize: this.bpeVocabSize }).train(text);
+		}
+	}
+
+	/**
+	 * Tokenize corpus text the way the model is trained
+	 * @param {string} text - Corpus text
+	 * @returns {string[]} - Normalized tokens
+	 */
+	tokenizeText(text) {
+		if (this.tokenization === 'bpe') {
+			if (!this.bpe) {
+				throw new Error('BPE tokenizer has not been trained');
+			}
+			return this.bpe.tokenize(text);
+		}
+		return new Tokenizer().tokenize(text, {
+			method: this.tokenization,
+			preservePunctuation: true,
+			preserveCase: this.caseSensitive,
+			preserveParagraphs: this.paragraphs,
+		});
+	}
+
+	/**
+	 * Read a training corpus into what trainSteps() takes; plain tokens
+	 * unless a model trains on annotated text
+	 * @param {string} text - Corpus text
+	 * @returns {Array} - Training data
+	 */
+	tokenizeCorpus(text) {
+		return this.tokenizeText(text);
+	}
+
+	/**
+	 * Tokenize a generation prompt exactly as the corpus was, so its tokens
+	 * match trained states
+	 * @param {string|null} prompt - Prompt text
+	 * @returns {string[]} - Prompt tokens (empty for a blank prompt)
+	 */
+	splitPrompt(prompt) {
+		return prompt && prompt.trim() ? this.tokenizeText(prompt) : [];
+	}
+
+	/**
+	 * Tokenizer settings to save with the model
+	 * @returns {Object}
+	 */
+	tokenizerToJSON() {
+		const settings = {
+			tokenization: this.tokenization,
+			caseSensitive: this.caseSensitive,
+			paragraphs: this.paragraphs,
+			detokenizer: this.detokenizer,
+		};
+		return this.bpe ? { ...settings, bpe: this.bpe.toJSON() } : settings;
+	}
+
+	/**
+	 * Restore tokenizer settings saved by tokenizerToJSON()
+	 * @param {Object} data - Serialized model data
+	 */
+	tokenizerFromJSON(data) {
+		this.tokenization = data.tokenization || 'word';
+		// Models saved before the setting existed were always lowercased
+		this.caseSensitive = data.caseSensitive ?? false;
+		this.paragraphs = data.paragraphs ?? false;
+		this.detokenizer = data.detokenizer || 'english';
+		this.bpe = data.bpe ? new BPETokenizer(data.bpe) : null;
+	}
+
+	/**
+	 * Join generated tokens into readable text
+	 * @param {string[]} tokens - Generated tokens
+	 * @param {Object} context - Generation options; `detokenizer` overrides
+	 *   the model's rule set for this call
+	 * @returns {string} - Formatted text
+	 */
+	postProcess(tokens, context = {}) {
+		return new Detokenizer(context.detokenizer || this.detokenizer).detokenize(
+			tokens,
+			{ subword: this.isSubwordLevel() },
+		);
 	}
 
 	/**
@@ -27,6 +180,8 @@ export class TextModel {
 			supportsConstraints: false,
 			supportsConditionalGeneration: false,
 			supportsBatchGeneration: false,
+			supportsPruning: false,
+			supportsTagging: false,
 			maxOrder: null,
 			modelType: this.modelType,
 		};
@@ -44,18 +199,207 @@ export class TextModel {
 		throw new Error('train() must be implemented by subclasses');
 	}
 
+	/**
+	 * Train the model, pausing after each step of iterative training so
+	 * callers can report progress or stop early. Models that train in one
+	 * pass finish without yielding.
+	 * @param {string[]} tokens - The tokens to train on
+	 * @param {Object} options - Training options, as for train()
+	 * @yields {Object} - Progress of each step, e.g. {iteration, iterations}
+	 */
+	*trainSteps(tokens, options = {}) {
+		this.train(tokens, options);
+	}
+
 	/**
 	 * @abstract
 	 * @param {GenerationContext} context - Generation parameters.
+	 * @yields {Object} Start tokens, then each generated token.
 	 * @returns {GenerationResult} Generated text.
 	 */
+	/**
+	 * Generate text one token at a time; generate() and stream() run this
+	 * @param {GenerationContext} context - The generation context
+	 * @yields {{type: 'start', tokens: string[]}|{type: 'token', token: string, probability: number|null}}
+	 *   - The tokens generation starts from, then each token as it is added,
+	 *   with the probability the model gave it (null if it wasn't sampled,
+	 *   e.g. when a new sentence is started)
+	 * @returns {GenerationResult}
+	 */
+	*generateTokens(context) {
+		throw new Error('generateTokens() must be implemented by subclasses');
+	}
+
 	/**
 	 * Generate text from the model
 	 * @param {GenerationContext} context - The generation context
 	 * @returns {GenerationResult}
 	 */
-	generate(context) {
-		throw new Error('generate() must be implemented by subclasses');
+	generate(context = new GenerationContext()) {
+		const steps = this.generateTokens(context);
+		let step = steps.next();
+		while (!step.done) {
+			step = steps.next();
+		}
+		return step.value;
+	}
+
+	/**
+	 * Generation events with the text detokenized as it grows
+	 *
+	 * - `{type: 'start', tokens, text}`: the prompt or start state
+	 * - `{type: 'token', index, token, probability, text, delta, rewind}`:
+	 *   one per added token; `text` is everything so far, and `delta` replaces
+	 *   its last `rewind` characters (detokenizing can re-space or re-case
+	 *   text already shown; `rewind` is 0 otherwise)
+	 * - `{type: 'result', result}`: the GenerationResult, always last
+	 *
+	 * @param {GenerationContext} context - The generation context
+	 * @yields {Object}
+	 */
+	*generateEvents(context = new GenerationContext()) {
+		// Models that only implement generate() produce the result alone
+		if (this.generateTokens === TextModel.prototype.generateTokens) {
+			yield { type: 'result', result: this.generate(context) };
+			return;
+		}
+
+		const tokens = [];
+		let text = '';
+		const steps = this.generateTokens(context);
+		let step = steps.next();
+
+		while (!step.done) {
+			const event = step.value;
+			if (event.type === 'start') {
+				tokens.push(...event.tokens);
+				text = this.postProcess(tokens, context);
+				yield { type: 'start', tokens: [...event.tokens], text };
+			} else {
+				tokens.push(event.token);
+				const next = this.postProcess(tokens, context);
+				let common = 0;
+				while (
+					common < text.length &&
+					common < next.length &&
+					text[common] === next[common]
+				) {
+					common++;
+				}
+				yield {
+					type: 'token',
+					index: tokens.length - 1,
+					token: event.token,
+					probability: event.probability ?? null,
+					text: next,
+					delta: next.slice(common),
+					rewind: text.length - common,
+				};
+				text = next;
+			}
+			step = steps.next();
+		}
+
+		yield { type: 'result', result: step.value };
+	}
+
+	/**
+	 * Stream generation events (see generateEvents) as an async iterator.
+	 * Control returns to the event loop after every event, so transports can
+	 * send each token as it is sampled; ending the iteration early (break or
+	 * return()) stops generating.
+	 * @param {GenerationContext} context - The generation context
+	 * @yields {Object}
+	 */
+	async *stream(context = new GenerationContext()) {
+		for (const event of this.generateEvents(context)) {
+			yield event;
+			await new Promise((resolve) => setImmediate(resolve));
+		}
+	}
+
+	/**
+	 * Tokens that beam search starts from
+	 * @param {string|null} prompt - Optional starting text
+	 * @param {Function} randomFn - Random function for picking a start
+	 * @param {Function} accept - Optional test of a random start's tokens;
+	 *   starts it rejects are avoided where possible
+	 * @returns {string[]|null} - Start tokens (possibly empty), or null if none
+	 */
+	getStartTokens(prompt, randomFn, accept) {
+		throw new Error(`${this.modelType} models do not support beam search`);
+	}
+
+	/**
+	 * Next-token distribution after a token history, used by beam search
+	 * @param {string[]} history - Tokens so far
+	 * @returns {Array<{token: string, probability: number}>}
+	 */
+	getNextTokenDistribution(history) {
+		throw new Error(`${this.modelType} models do not support beam search`);
+	}
+
+	/**
+	 * Shrink the model by dropping rare or uninformative contexts, for models
+	 * whose capabilities include supportsPruning
+	 * @param {Object} options - Pruning options (see Pruning.js)
+	 */
+	prune(options) {
+		throw new Error(`${this.modelType} models do not support pruning`);
+	}
+
+	/**
+	 * Label each token with the state most likely to have produced it, for
+	 * models whose capabilities include supportsTagging
+	 * @param {string[]} tokens - Tokens, tokenized as for training
+	 * @returns {Array<{token: string, tag: string}>}
+	 */
+	tag(tokens) {
+		throw new Error(`${this.modelType} models do not support tagging`);
+	}
+
+	/**
+	 * Summarize what each hidden state stands for, for models with hidden
+	 * states
+	 * @param {number} top - Entries to list per state
+	 * @returns {Array<Object>}
+	 */
+	describeStates(top) {
+		throw new Error(`${this.modelType} models have no hidden states`);
+	}
+
+	/**
+	 * Which tokens have been seen after each context, used by infill and
+	 * lexical constraints to tell whether a token can still be reached
+	 * @returns {Map<string, Set<string>>|null} - context key (see
+	 *   getContextKey) -> following tokens, or null if the model can't tell
+	 *   (any token may follow any other)
+	 */
+	getTransitionGraph() {
+		return null;
+	}
+
+	/**
+	 * Transition graph node that a token history ends in
+	 * @param {string[]} tokens - Tokens so far
+	 * @returns {string} - Context key (the last token by default)
+	 */
+	getContextKey(tokens) {
+		return tokens[tokens.length - 1];
+	}
+
+	/**
+	 * @abstract
+	 * @param {string[]} tokens - Held-out tokens, normalized as for training.
+	 * @returns {Array<{token: string, probability: number, oov: boolean, contextLength?: number}>}
+	 */
+	/**
+	 * Score each predicted token of a sequence under the model
+	 * @param {string[]} tokens - The tokens to score
+	 * @returns {Array<Object>} - One entry per predicted token
+	 */
+	scoreSequence(tokens) {
+		throw new Error('scoreSequence() must be implemented by subclasses');
 	}
 
 	/**
@@ -99,13 +443,60 @@ export class TextModel {
  * Generation context for different model types
  */
 export class GenerationContext {
+	/**
+	 * @param {Object} options - Generation options
+	 * @param {number} options.temperature - Randomness factor (0 is greedy)
+	 * @param {number} options.top_k - Sample from the k most likely tokens (0: all)
+	 * @param {number} options.top_p - Nucleus sampling mass
+	 * @param {number} options.min_p - Minimum probability relative to the top token
+	 * @param {number} options.typical_p - Locally typical sampling mass
+	 * @param {string} options.decoding - 'sample' (default) or 'beam'
+	 * @param {number} options.beam_width - Hypotheses kept per beam search step
+	 * @param {number} options.length_penalty - Beam score = logprob / length^length_penalty
+	 * @param {number} options.return_beams - Number of best beams to return
+	 * @param {string[]} options.include - Words that must appear
+	 * @param {string[]} options.exclude - Words that must never appear
+	 * @param {string[]} options.stop - Stop sequences, single tokens or phrases
+	 *   (default: sentence endings, none when max_sentences or max_paragraphs
+	 *   is set)
+	 * @param {string[]} options.stop_patterns - Regular expressions that end generation
+	 * @param {number} options.max_sentences - Sentences to generate before stopping
+	 * @param {number} options.max_paragraphs - Paragraphs to generate before stopping
+	 * @param {string} options.detokenizer - Detokenizer rule set (default: the model's)
+	 * @param {number} options.seed - Seed for a reproducible RNG (random when omitted)
+	 * @param {Function} options.randomFn - Custom random function; overrides seed
+	 */
 	constructor(options = {}) {
 		this.max_tokens = options.max_tokens || 100;
 		this.min_tokens = options.min_tokens || 50;
-		this.temperature = options.temperature || 1.0;
-		this.stop = options.stop || ['.', '!', '?'];
+		this.temperature = options.temperature ?? 1.0;
+		this.top_k = options.top_k ?? 0;
+		this.top_p = options.top_p ?? 1.0;
+		this.min_p = options.min_p ?? 0;
+		this.typical_p = options.typical_p ?? 1.0;
+		this.decoding = options.decoding || 'sample';
+		this.beam_width = options.beam_width || 4;
+		this.length_penalty = options.length_penalty ?? 1.0;
+		this.return_beams = options.return_beams || 1;
+		this.include = options.include || [];
+		this.exclude = options.exclude || [];
+		this.stop_patterns = options.stop_patterns || [];
+		this.max_sentences = options.max_sentences || 0;
+		this.max_paragraphs = options.max_paragraphs || 0;
+		this.stop =
+			options.stop ||
+			(this.max_sentences || this.max_paragraphs ? [] : ['.', '!', '?']);
 		this.prompt = options.prompt || null;
-		this.randomFn = options.randomFn;
+		this.detokenizer = options.detokenizer || null;
+
+		if (options.randomFn) {
+			this.seed = options.seed ?? null;
+			this.randomFn = options.randomFn;
+		} else {
+			const rng = new RNG(options.seed);
+			this.seed = rng.seed;
+			this.randomFn = () => rng.random();
+		}
 	}
 }
 
@@ -119,5 +510,11 @@ export class GenerationResult {
 		this.length = metadata.length || text.split(/\s+/).length;
 		this.model = metadata.model || 'unknown';
 		this.finish_reason = metadata.finish_reason || 'unknown';
+		// {type: 'sequence'|'pattern'|'sentences'|'paragraphs', value} when a stop condition fired
+		this.stop_condition = metadata.stop_condition ?? null;
+		this.seed = metadata.seed ?? null;
+		if (metadata.beams) {
+			this.beams = metadata.beams;
+		}
 	}
 }
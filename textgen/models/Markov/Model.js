@@ -4,13 +4,40 @@ import {
 	GenerationResult,
 } from '../Interfaces.js';
 import { random } from '../RNG.js';
+import { registerModelType } from '../ModelRegistry.js';
+import { getSamplingOptions, sampleToken } from '../Sampling.js';
+import { LexicalConstraints } from '../Constraints.js';
+import { StopConditions } from '../StopConditions.js';
+import { getPruneOptions, pruneContexts } from '../Pruning.js';
+
+/**
+ * Normalize training input to a list of token sequences
+ * @param {string[]|string[][]} tokens - Tokens, or an array of token sequences
+ * @returns {string[][]}
+ */
+export function toTokenSequences(tokens) {
+	if (!Array.isArray(tokens)) {
+		throw new Error('Input tokens must be an array of strings.');
+	}
+
+	const sequences = tokens.some(Array.isArray) ? tokens : [tokens];
+	for (const sequence of sequences) {
+		if (
+			!Array.isArray(sequence) ||
+			sequence.some((t) => typeof t !== 'string')
+		) {
+			throw new Error('Input tokens must be an array of strings.');
+		}
+	}
+	return sequences;
+}
 
 /**
  * Configurable Markov Chain Model for text generation
  * - Supports variable order (n-grams)
  * - Handles case sensitivity and punctuation
  * - Tracks starting states for sentence beginnings
- * - Generates text with temperature control
+ * - Generates text with temperature, top-k, top-p, min-p and typical sampling
  * - Provides detailed statistics
  * - Serializes to/from JSON format
  * - Supports multiple generation options
@@ -19,6 +46,37 @@ import { random } from '../RNG.js';
  * - Stores transitions as frequency counts for flexibility
  */
 export class MarkovModel extends TextModel {
+	static modelType = 'markov';
+
+	static optionsSchema = {
+		...TextModel.optionsSchema,
+		order: {
+			type: 'integer',
+			description: 'Markov order (n-gram size)',
+			default: 2,
+			min: 1,
+			max: 10,
+		},
+	};
+
+	/**
+	 * Validate serialized Markov model data
+	 * @param {Object} data - Serialized model data
+	 */
+	static validateJSON(data) {
+		if (!Number.isInteger(data.order) || data.order < 1) {
+			throw new Error('Invalid model data: missing or invalid order');
+		}
+
+		if (!Array.isArray(data.vocabulary)) {
+			throw new Error('Invalid model data: missing or invalid vocabulary');
+		}
+
+		if (!data.chains || typeof data.chains !== 'object') {
+			throw new Error('Invalid model data: missing or invalid chains');
+		}
+	}
+
 	/**
 	 * @param {object} options - The model options.
 	 * @param {number} options.order - The order of the Markov chain (default: 2)
@@ -36,7 +94,7 @@ export class MarkovModel extends TextModel {
 		this.startStates = new Set();
 		this.totalTokens = 0;
 		this.vocabulary = new Set();
-		this.modelType = 'markov';
+		this.modelType = this.constructor.modelType;
 	}
 
 	/**
@@ -49,6 +107,7 @@ export class MarkovModel extends TextModel {
 			supportsConstraints: true,
 			supportsConditionalGeneration: true,
 			supportsBatchGeneration: true,
+			supportsPruning: true,
 			maxOrder: 10,
 			modelType: this.modelType,
 		};
@@ -56,64 +115,79 @@ export class MarkovModel extends TextModel {
 
 	/**
 	 * @override
-	 * @param {string[]} tokens - Array of preprocessed tokens
+	 * @param {string[]|string[][]} tokens - Preprocessed tokens, or an array of token sequences
 	 * @param {Object} options - Additional options
-	 * @param {boolean} options.caseSensitive - Whether to preserve case (default: false)
+	 * @param {boolean} options.caseSensitive - Whether to preserve case (default: the model's setting)
 	 * @param {boolean} options.trackStartStates - Whether to track sentence starts (default: true)
+	 * @param {boolean} options.incremental - Add to existing counts instead of replacing them (default: false)
 	 */
 	train(tokens, options = {}) {
-		const { caseSensitive = false, trackStartStates = true } = options;
+		const {
+			caseSensitive = this.caseSensitive,
+			trackStartStates = true,
+			incremental = false,
+		} = options;
 
-		if (!Array.isArray(tokens) || tokens.some((t) => typeof t !== 'string')) {
-			throw new Error('Input tokens must be an array of strings.');
-		}
+		const sequences = toTokenSequences(tokens);
 
-		// Check if tokens is an array of arrays
-		if (tokens.some(Array.isArray)) {
-			// Train on each sub-array separately
-			for (const subTokens of tokens) {
-				this.train(subTokens, options);
-			}
-			return;
+		if (!incremental) {
+			this.reset();
 		}
 
-		if (tokens.some((t) => typeof t !== 'string')) {
-			throw new Error('Input tokens must be an array of strings.');
+		for (const sequence of sequences) {
+			// Process tokens with case normalization if needed
+			const processedTokens = caseSensitive
+				? sequence
+				: sequence.map((t) => t.toLowerCase());
+			this.addSequence(processedTokens, trackStartStates);
 		}
 
-		if (tokens.length < this.order + 1) {
+		if (this.chains.size === 0) {
 			throw new Error(
 				`Need at least ${this.order + 1} tokens to build chain of order ${this.order}`,
 			);
 		}
 
-		// Clear existing chain
+		console.log(
+			`Built Markov chain: ${this.chains.size} states, ${this.vocabulary.size} unique tokens`,
+		);
+		console.log(`Start states: ${this.startStates.size} (sentence beginnings)`);
+	}
+
+	/**
+	 * Clear all trained counts
+	 */
+	reset() {
 		this.chains.clear();
 		this.startStates.clear();
 		this.vocabulary.clear();
-		this.totalTokens = tokens.length;
+		this.totalTokens = 0;
+	}
 
-		// Process tokens with case normalization if needed
-		const processedTokens = caseSensitive
-			? tokens
-			: tokens.map((t) => t.toLowerCase());
+	/**
+	 * Add n-gram counts from one token sequence
+	 * @param {string[]} tokens - Normalized tokens
+	 * @param {boolean} trackStartStates - Whether to record sentence-start states
+	 */
+	addSequence(tokens, trackStartStates) {
+		this.totalTokens += tokens.length;
 
 		// Build vocabulary
-		processedTokens.forEach((token) => this.vocabulary.add(token));
+		tokens.forEach((token) => this.vocabulary.add(token));
 
 		// Track sentence boundaries (assuming sentence-ending punctuation)
 		const sentenceEndings = new Set(['.', '!', '?']);
 		let isStartOfSentence = true;
 
 		// Build n-gram chains
-		for (let i = 0; i <= processedTokens.length - this.order - 1; i++) {
-			const state = processedTokens.slice(i, i + this.order).join(' ');
-			const nextToken = processedTokens[i + this.order];
+		for (let i = 0; i <= tokens.length - this.order - 1; i++) {
+			const state = tokens.slice(i, i + this.order).join(' ');
+			const nextToken = tokens[i + this.order];
 
 			if (trackStartStates && isStartOfSentence) {
 				this.startStates.add(state);
 			}
-			isStartOfSentence = sentenceEndings.has(processedTokens[i]);
+			isStartOfSentence = sentenceEndings.has(tokens[i]);
 
 			if (!this.chains.has(state)) {
 				this.chains.set(state, new Map());
@@ -121,11 +195,6 @@ export class MarkovModel extends TextModel {
 			const transitions = this.chains.get(state);
 			transitions.set(nextToken, (transitions.get(nextToken) || 0) + 1);
 		}
-
-		console.log(
-			`Built Markov chain: ${this.chains.size} states, ${this.vocabulary.size} unique tokens`,
-		);
-		console.log(`Start states: ${this.startStates.size} (sentence beginnings)`);
 	}
 
 	/**
@@ -151,15 +220,53 @@ export class MarkovModel extends TextModel {
 		}));
 	}
 
+	/**
+	 * Score each token that follows a full-order state
+	 * @param {string[]} tokens - Normalized tokens
+	 * @returns {Array<{token: string, probability: number, oov: boolean, contextLength: number}>}
+	 */
+	scoreSequence(tokens) {
+		const scores = [];
+		for (let i = this.order; i < tokens.length; i++) {
+			const token = tokens[i];
+			const transitions = this.chains.get(
+				tokens.slice(i - this.order, i).join(' '),
+			);
+
+			let probability = 0;
+			if (transitions) {
+				let totalCount = 0;
+				for (const count of transitions.values()) {
+					totalCount += count;
+				}
+				probability = (transitions.get(token) || 0) / totalCount;
+			}
+
+			scores.push({
+				token,
+				probability,
+				oov: !this.vocabulary.has(token),
+				contextLength: transitions ? this.order : 0,
+			});
+		}
+		return scores;
+	}
+
 	/**
 	 * Get a random starting state for text generation
 	 * @param {Function} randomFn - Random function (default: random)
+	 * @param {Function} accept - Optional test of a state's tokens; sentence
+	 *   starts it rejects are skipped unless it rejects them all
 	 * @returns {string|null} - Starting state or null if none available
 	 */
-	getRandomStartState(randomFn = random) {
+	getRandomStartState(randomFn = random, accept = null) {
 		// First try to get a sentence-starting state if available
 		if (this.startStates.size > 0) {
-			const startStatesArray = Array.from(this.startStates);
+			const states = Array.from(this.startStates);
+			const accepted = accept
+				? states.filter((state) => accept(state.split(' ')))
+				: states;
+			const startStatesArray = accepted.length > 0 ? accepted : states;
 			return startStatesArray[Math.floor(randomFn() * startStatesArray.length)];
 		}
 
@@ -190,6 +297,47 @@ export class MarkovModel extends TextModel {
 		};
 	}
 
+	/**
+	 * Number of states, of transitions out of them and of sentence starts
+	 * @returns {{contexts: number, transitions: number, startStates: number}}
+	 */
+	getSize() {
+		let transitions = 0;
+		for (const next of this.chains.values()) {
+			transitions += next.size;
+		}
+		return {
+			contexts: this.chains.size,
+			transitions,
+			startStates: this.startStates.size,
+		};
+	}
+
+	/**
+	 * @override
+	 * Drop rare transitions and the least frequent states. Plain Markov
+	 * chains don't back off to shorter states, so klThreshold doesn't apply.
+	 * @param {Object} options - minCount and maxStates (see Pruning.js)
+	 */
+	prune(options = {}) {
+		if (getPruneOptions(options).klThreshold > 0) {
+			throw new Error(
+				'klThreshold needs a model that backs off to shorter contexts (ngram, vlmm)',
+			);
+		}
+
+		const levels = [];
+		levels[this.order] = this.chains;
+		pruneContexts(levels, options);
+
+		// Generation can only start from states that have transitions
+		for (const state of this.startStates) {
+			if (!this.chains.has(state)) {
+				this.startStates.delete(state);
+			}
+		}
+	}
+
 	/**
 	 * @override
 	 * @returns {Object} - Serializable model data
@@ -198,6 +346,7 @@ export class MarkovModel extends TextModel {
 		return {
 			order: this.order,
 			modelType: this.modelType,
+			...this.tokenizerToJSON(),
 			chains: Object.fromEntries(
 				Array.from(this.chains.entries()).map(([state, transitions]) => [
 					state,
@@ -229,6 +378,7 @@ export class MarkovModel extends TextModel {
 
 		this.order = data.order;
 		this.options = { order: data.order };
+		this.tokenizerFromJSON(data);
 		this.totalTokens = data.totalTokens || 0;
 		this.vocabulary = new Set(data.vocabulary || []);
 		this.startStates = new Set(data.startStates || []);
@@ -254,24 +404,26 @@ export class MarkovModel extends TextModel {
 	}
 
 	/**
-	 * Generate text using the Markov model
+	 * Generate text using the Markov model, one token at a time
 	 * @param {GenerationContext} context - Generation options
 	 * @param {number} context.max_tokens - Maximum number of tokens to generate
 	 * @param {number} context.min_tokens - Minimum number of tokens to generate
-	 * @param {string[]} context.stop - Tokens that end generation
+	 * @param {string[]} context.stop - Stop sequences that end generation
 	 * @param {string} context.prompt - Specific starting text (optional)
 	 * @param {number} context.temperature - Randomness factor (0-2, default: 1)
+	 * @param {number} context.top_k - Sample from the k most likely tokens (0: all)
+	 * @param {number} context.top_p - Nucleus sampling mass (default: 1)
+	 * @param {number} context.min_p - Minimum probability relative to the top token (default: 0)
+	 * @param {number} context.typical_p - Locally typical sampling mass (default: 1)
 	 * @param {Function} context.randomFn - Custom random function
 	 * @param {boolean} context.allowRepetition - Allow immediate token repetition
+	 * @yields {Object} - The start state's tokens, then each sampled token
 	 * @returns {GenerationResult} - Generated text and metadata
 	 */
-	generate(context = new GenerationContext()) {
+	*generateTokens(context = new GenerationContext()) {
 		const {
 			max_tokens = 100,
-			min_tokens = 50,
-			stop: stop_tokens = ['.', '!', '?'],
 			prompt = null,
-			temperature = 1.0,
 			randomFn = random,
 			allowRepetition = true,
 		} = context;
@@ -285,30 +437,52 @@ export class MarkovModel extends TextModel {
 		}
 
 		const generatedTokens = [];
-		let currentState = this.initializeState(prompt, randomFn);
+		const constraints = LexicalConstraints.fromContext(
+			this,
+			context,
+			generatedTokens,
+		);
+		// Model probability of the last sampled token, reported with it
+		let probability = null;
+		const sampling = {
+			...getSamplingOptions(context),
+			constraints,
+			onSample: (token, p) => (probability = p),
+		};
+		const stopConditions = StopConditions.fromContext(this, context);
+		const startTokens = this.getStartTokens(
+			prompt,
+			randomFn,
+			constraints && ((tokens) => constraints.canStartFrom(tokens)),
+		);
 
-		if (!currentState) {
+		if (!startTokens) {
 			throw new Error('Could not find a valid starting state');
 		}
 
-		// Add initial state tokens to output
-		const stateTokens = currentState.split(' ');
-		generatedTokens.push(...stateTokens);
+		// Output starts with the whole prompt, or with the random start state
+		generatedTokens.push(...startTokens);
+		yield { type: 'start', tokens: [...startTokens] };
+		let currentState = this.matchState(startTokens);
+
+		stopConditions.begin(generatedTokens);
 
 		let attempts = 0;
 		const maxAttempts = max_tokens * 3; // Prevent infinite loops
 		let finish_reason = 'length';
+		let stop_condition = null;
 
 		while (generatedTokens.length < max_tokens && attempts < maxAttempts) {
 			attempts++;
 
-			const nextToken = this.sampleNextToken(
-				currentState,
-				temperature,
-				randomFn,
-			);
+			const nextToken = this.sampleNextToken(currentState, sampling, randomFn);
 
 			if (!nextToken) {
+				if (constraints?.blocked) {
+					finish_reason = 'constraint_unsatisfiable';
+					break;
+				}
+
 				// No valid transitions, try to find a new starting point
 				const newState = this.getRandomStartState(randomFn);
 				if (newState) {
@@ -329,13 +503,13 @@ export class MarkovModel extends TextModel {
 			}
 
 			generatedTokens.push(nextToken);
+			yield { type: 'token', token: nextToken, probability };
 
 			// Check stop conditions
-			if (
-				generatedTokens.length >= min_tokens &&
-				stop_tokens.includes(nextToken)
-			) {
+			const stopped = stopConditions.check(generatedTokens);
+			if (stopped && (!constraints || constraints.isSatisfied())) {
 				finish_reason = 'stop';
+				stop_condition = stopped;
 				break;
 			}
 
@@ -343,14 +517,20 @@ export class MarkovModel extends TextModel {
 			currentState = this.updateState(currentState, nextToken);
 		}
 
+		if (constraints && !constraints.isSatisfied()) {
+			finish_reason = 'constraint_unsatisfiable';
+		}
+
 		const finalText = this.postProcess(generatedTokens, context);
 		return new GenerationResult(finalText, {
 			tokens: generatedTokens,
 			length: generatedTokens.length,
-			model: 'markov',
+			model: this.modelType,
 			finish_reason: finish_reason,
+			stop_condition,
 			finalState: currentState,
 			attempts: attempts,
+			seed: context.seed,
 		});
 	}
 
@@ -358,24 +538,17 @@ export class MarkovModel extends TextModel {
 	 * Initialize the starting state for generation
 	 * @param {string|null} startWith - Optional starting text
 	 * @param {Function} randomFn - Random function
+	 * @param {Function} accept - Optional test of a random start's tokens
 	 * @returns {string|null} - Initial state
 	 */
-	initializeState(startWith, randomFn) {
-		if (startWith) {
-			if (!this.caseSensitive) {
-				startWith = startWith.toLowerCase();
-			}
-			const startTokens = startWith.trim().split(/\s+/);
-			if (startTokens.length >= this.order) {
-				const proposedState = startTokens.slice(-this.order).join(' ');
-				if (this.chains.has(proposedState)) {
-					return proposedState;
-				}
-			}
+	initializeState(startWith, randomFn, accept = null) {
+		const promptState = this.matchState(this.splitPrompt(startWith));
+		if (promptState) {
+			return promptState;
 		}
 
 		// Try to get a known sentence-starting state
-		const randomStartState = this.getRandomStartState(randomFn);
+		const randomStartState = this.getRandomStartState(randomFn, accept);
 		if (randomStartState) {
 			return randomStartState;
 		}
@@ -388,67 +561,105 @@ export class MarkovModel extends TextModel {
 	}
 
 	/**
-	 * Sample next token with temperature control
-	 * @param {string} currentState - Current model state
-	 * @param {number} temperature - Randomness factor (0-2)
-	 * @param {Function} randomFn - Random function
-	 * @returns {string|null} - Next token or null
+	 * State to continue a token history from: its last `order` tokens when
+	 * that state was seen in training, or else the seen state sharing the
+	 * longest suffix with the history (the most frequent one on ties), so
+	 * prompts shorter than the order or ending in an unseen context still
+	 * seed generation
+	 * @param {string[]} tokens - Token history, e.g. a tokenized prompt
+	 * @returns {string|null} - null if no seen state ends in the last token
 	 */
-	/**
-	 * Sample the next token
-	 * @param {string} currentState - The current state
-	 * @param {number} temperature - The temperature to use
-	 * @param {Function} randomFn - The random function to use
-	 * @returns {string|null} - The next token
-	 */
-	sampleNextToken(currentState, temperature, randomFn) {
-		const transitions = this.getTransitions(currentState);
-
-		if (transitions.length === 0) {
-			return null;
+	matchState(tokens) {
+		const exact = tokens.slice(-this.order).join(' ');
+		if (tokens.length >= this.order && this.chains.has(exact)) {
+			return exact;
 		}
 
-		if (temperature === 0) {
-			// Deterministic: always pick the most likely token
-			return transitions.reduce((best, current) =>
-				current.probability > best.probability ? current : best,
-			).token;
+		for (
+			let length = Math.min(this.order - 1, tokens.length);
+			length > 0;
+			length--
+		) {
+			const suffix = tokens.slice(-length);
+			let best = null;
+			let bestCount = 0;
+			for (const [state, transitions] of this.chains) {
+				const stateTokens = state.split(' ').slice(-length);
+				if (!suffix.every((token, i) => stateTokens[i] === token)) {
+					continue;
+				}
+				let count = 0;
+				for (const n of transitions.values()) count += n;
+				if (count > bestCount) {
+					best = state;
+					bestCount = count;
+				}
+			}
+			if (best) {
+				return best;
+			}
 		}
+		return null;
+	}
 
-		// Apply temperature scaling to probabilities
-		const scaledTransitions = transitions.map(
-			({ token, probability, count }) => {
-				const scaledProb = Math.pow(probability, 1 / temperature);
-				return { token, probability: scaledProb, count };
-			},
-		);
-
-		// Normalize probabilities
-		const totalProb = scaledTransitions.reduce(
-			(sum, { probability }) => sum + probability,
-			1e-10,
-		);
-		const normalizedTransitions = scaledTransitions.map(
-			({ token, probability, count }) => ({
-				token,
-				probability: probability / totalProb,
-				count,
-			}),
-		);
+	/**
+	 * @override
+	 * Beam search starts from the same tokens as sampling
+	 * @param {string|null} prompt - Optional starting text
+	 * @param {Function} randomFn - Random function
+	 * @param {Function} accept - Optional test of a random start's tokens
+	 * @returns {string[]|null} - The prompt's tokens if it matches a state,
+	 *   else the tokens of a random start state
+	 */
+	getStartTokens(prompt, randomFn, accept = null) {
+		const promptTokens = this.splitPrompt(prompt);
+		if (this.matchState(promptTokens)) {
+			return promptTokens;
+		}
+		const state = this.initializeState(null, randomFn, accept);
+		return state ? state.split(' ') : null;
+	}
 
-		// Sample from the adjusted distribution
-		const rand = randomFn();
-		let cumulativeProb = 0;
+	/**
+	 * @override
+	 * @param {string[]} history - Tokens so far
+	 * @returns {Array<{token: string, probability: number}>}
+	 */
+	getNextTokenDistribution(history) {
+		const state = this.matchState(history);
+		return state ? this.getTransitions(state) : [];
+	}
 
-		for (const { token, probability } of normalizedTransitions) {
-			cumulativeProb += probability;
-			if (rand <= cumulativeProb) {
-				return token;
-			}
+	/**
+	 * @override
+	 * @returns {Map<string, Set<string>>} - state -> following tokens
+	 */
+	getTransitionGraph() {
+		const graph = new Map();
+		for (const [state, transitions] of this.chains) {
+			graph.set(state, new Set(transitions.keys()));
 		}
+		return graph;
+	}
 
-		// Fallback
-		return normalizedTransitions[normalizedTransitions.length - 1].token;
+	/**
+	 * @override
+	 * @param {string[]} tokens - Tokens so far
+	 * @returns {string} - The state they end in
+	 */
+	getContextKey(tokens) {
+		return tokens.slice(-this.order).join(' ');
+	}
+
+	/**
+	 * Sample the next token
+	 * @param {string} currentState - The current state
+	 * @param {Object} sampling - Temperature and truncation options (see Sampling.js)
+	 * @param {Function} randomFn - The random function to use
+	 * @returns {string|null} - The next token
+	 */
+	sampleNextToken(currentState, sampling, randomFn) {
+		return sampleToken(this.getTransitions(currentState), sampling, randomFn);
 	}
 
 	/**
@@ -463,42 +674,6 @@ export class MarkovModel extends TextModel {
 		return newStateTokens.join(' ');
 	}
 
-	/**
-	 * Post-process generated tokens into readable text
-	 * @param {string[]} tokens - Generated tokens
-	 * @param {Object} options - Processing options
-	 * @returns {string} - Formatted text
-	 */
-	postProcess(tokens, options = {}) {
-		if (tokens.length === 0) {
-			return '';
-		}
-
-		let text = tokens.join(' ');
-
-		// Basic punctuation cleanup
-		text = text
-			// Remove spaces before punctuation
-			.replace(/\s+([.!?;:,'")\]}])/g, '$1')
-			// Add spaces after punctuation (but not at end)
-			.replace(/([.!?;:,])(\w)/g, '$1 $2')
-			// Handle quotes and parentheses
-			.replace(/\s+(['"])/g, ' $1')
-			.replace(/(['"()])\s+/g, '$1 ')
-			// Capitalize after sentence endings
-			.replace(
-				/([.!?])\s+(\w)/g,
-				(match, punct, letter) => `${punct} ${letter.toUpperCase()}`,
-			)
-			// Capitalize first letter
-			.replace(/^\w/, (match) => match.toUpperCase())
-			// Clean up extra spaces
-			.replace(/\s+/g, ' ')
-			.trim();
-
-		return text;
-	}
-
 	/**
 	 * Generate multiple text samples.
 	 * @param {number} count - Number of samples to generate.
@@ -514,7 +689,7 @@ export class MarkovModel extends TextModel {
 				samples.push(
 					new GenerationResult('', {
 						error: error.message,
-						model: 'markov',
+						model: this.modelType,
 						finish_reason: 'error',
 					}),
 				);
@@ -523,3 +698,5 @@ export class MarkovModel extends TextModel {
 		return samples;
 	}
 }
+
+registerModelType(MarkovModel);
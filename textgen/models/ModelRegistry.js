@@ -0,0 +1,148 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { TextModel } from './Interfaces.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Drop-in directory for model types maintained outside this repository
+const MODEL_PLUGINS_DIR = path.resolve(__dirname, '../model-plugins');
+
+// Map<string, Function> - modelType -> TextModel subclass
+const registry = new Map();
+
+let pluginsLoaded = null;
+
+/**
+ * Register a TextModel subclass under its static modelType.
+ *
+ * The class describes itself through static members:
+ * - `modelType` {string} - Type name used by train/generate and in saved JSON
+ * - `optionsSchema` {Object} - Constructor options, in contract parameter format
+ * - `validateJSON(data)` {Function} - Throws if serialized data is malformed
+ *
+ * Capabilities are read from an instance's getCapabilities().
+ * @param {Function} ModelClass - The model class to register
+ * @returns {Function} - The registered class
+ */
+export function registerModelType(ModelClass) {
+	if (
+		typeof ModelClass !== 'function' ||
+		!(ModelClass.prototype instanceof TextModel)
+	) {
+		throw new Error('Model types must extend TextModel');
+	}
+
+	const { modelType } = ModelClass;
+	if (!modelType || typeof modelType !== 'string') {
+		throw new Error(`${ModelClass.name} must declare a static modelType`);
+	}
+
+	const existing = registry.get(modelType);
+	if (existing && existing !== ModelClass) {
+		throw new Error(`Model type already registered: ${modelType}`);
+	}
+
+	registry.set(modelType, ModelClass);
+	return ModelClass;
+}
+
+/**
+ * Get the class registered for a model type
+ * @param {string} modelType - The model type name
+ * @returns {Function} - The registered TextModel subclass
+ */
+export function getModelType(modelType) {
+	const ModelClass = registry.get(modelType);
+	if (!ModelClass) {
+		throw new Error(
+			`Unknown model type: ${modelType} (available: ${getModelTypeNames().join(', ')})`,
+		);
+	}
+	return ModelClass;
+}
+
+/**
+ * Get the names of all registered model types
+ * @returns {string[]}
+ */
+export function getModelTypeNames() {
+	return Array.from(registry.keys());
+}
+
+/**
+ * Describe all registered model types
+ * @returns {Array<{modelType: string, optionsSchema: Object, capabilities: Object}>}
+ */
+export function listModelTypes() {
+	return Array.from(registry.entries()).map(([modelType, ModelClass]) => ({
+		modelType,
+		optionsSchema: ModelClass.optionsSchema || {},
+		capabilities: new ModelClass().getCapabilities(),
+	}));
+}
+
+/**
+ * Construct a model, passing only the options its schema declares
+ * @param {string} modelType - The model type name
+ * @param {Object} [options={}] - Candidate constructor options
+ * @returns {TextModel}
+ */
+export function createModel(modelType, options = {}) {
+	const ModelClass = getModelType(modelType);
+	const schema = ModelClass.optionsSchema || {};
+
+	const modelOptions = {};
+	for (const key of Object.keys(schema)) {
+		if (options[key] !== undefined && options[key] !== null) {
+			modelOptions[key] = options[key];
+		}
+	}
+
+	return new ModelClass(modelOptions);
+}
+
+/**
+ * Validate serialized model data against its type's validator
+ * @param {Object} data - Serialized model data
+ */
+export function validateModelJSON(data) {
+	const ModelClass = getModelType(data.modelType);
+	if (typeof ModelClass.validateJSON === 'function') {
+		ModelClass.validateJSON(data);
+	}
+}
+
+/**
+ * Import every module in the model-plugins directory once.
+ * Plugin modules register their types by calling registerModelType.
+ * @param {string} [directory] - Directory to scan
+ * @returns {Promise<string[]>} - Registered model type names
+ */
+export function loadModelPlugins(directory = MODEL_PLUGINS_DIR) {
+	if (!pluginsLoaded) {
+		pluginsLoaded = importPlugins(directory);
+	}
+	return pluginsLoaded;
+}
+
+async function importPlugins(directory) {
+	let files;
+	try {
+		files = await fs.readdir(directory);
+	} catch (error) {
+		if (error.code === 'ENOENT') return getModelTypeNames();
+		throw error;
+	}
+
+	for (const file of files.filter((f) => /\.m?js$/.test(f)).sort()) {
+		const moduleUrl = pathToFileURL(path.join(directory, file)).href;
+		try {
+			await import(moduleUrl);
+		} catch (error) {
+			console.warn(`⚠️ Failed to load model plugin '${file}':`, error.message);
+		}
+	}
+
+	return getModelTypeNames();
+}
@@ -0,0 +1,660 @@
+import { MarkovModel } from '../Markov/Model.js';
+import { registerModelType } from '../ModelRegistry.js';
+import { pruneContexts } from '../Pruning.js';
+
+const SMOOTHING_METHODS = ['kneser-ney', 'katz'];
+
+// Fallback absolute discount when count-of-counts can't estimate one
+const DEFAULT_DISCOUNT = 0.75;
+
+// Counts above this are trusted as-is by Katz (Good-Turing only below it)
+const KATZ_MAX_DISCOUNTED_COUNT = 5;
+
+/**
+ * Smoothed n-gram model for text generation
+ * - Stores counts for every context length from 0 up to `order`
+ * - Interpolated Kneser-Ney smoothing (default) or Katz backoff
+ * - Backs off to shorter contexts instead of jumping to a new start state,
+ *   so unseen contexts still get a full next-token distribution
+ * - Keeps `chains` as the highest-order counts, so Markov tooling still applies
+ */
+export class NGramModel extends MarkovModel {
+	static modelType = 'ngram';
+
+	static optionsSchema = {
+		...MarkovModel.optionsSchema,
+		smoothing: {
+			type: 'string',
+			description: 'Smoothing method (ngram)',
+			enum: SMOOTHING_METHODS,
+			default: 'kneser-ney',
+		},
+		discount: {
+			type: 'number',
+			description:
+				'Absolute discount; estimated from the counts when omitted (ngram)',
+			min: 0,
+			max: 1,
+		},
+	};
+
+	/**
+	 * Validate serialized n-gram model data
+	 * @param {Object} data - Serialized model data
+	 */
+	static validateJSON(data) {
+		super.validateJSON(data);
+
+		if (data.smoothing && !SMOOTHING_METHODS.includes(data.smoothing)) {
+			throw new Error(
+				`Invalid model data: unknown smoothing ${data.smoothing}`,
+			);
+		}
+
+		if (
+			!Array.isArray(data.lowerOrderChains) ||
+			data.lowerOrderChains.length !== data.order
+		) {
+			throw new Error(
+				`Invalid model data: lowerOrderChains must have ${data.order} entries`,
+			);
+		}
+	}
+
+	/**
+	 * @param {object} options - The model options.
+	 * @param {number} options.order - Longest context length (default: 2)
+	 * @param {string} options.smoothing - 'kneser-ney' or 'katz'
+	 * @param {number} options.discount - Fixed absolute discount (optional)
+	 */
+	constructor(options = {}) {
+		super(options);
+		this.smoothing = options.smoothing || 'kneser-ney';
+		if (!SMOOTHING_METHODS.includes(this.smoothing)) {
+			throw new Error(
+				`smoothing must be one of: ${SMOOTHING_METHODS.join(', ')}`,
+			);
+		}
+		this.discount = options.discount ?? null;
+
+		// lowerOrderChains[k]: Map<string, Map<string, number>> for contexts of
+		// length k (k < order); contexts of length `order` live in this.chains
+		this.lowerOrderChains = Array.from({ length: this.order }, () => new Map());
+
+		// Derived smoothing tables, rebuilt lazily after training or loading
+		this.smoothingTables = null;
+		this.vocabularyList = null;
+		this.vocabularyIndex = null;
+	}
+
+	/**
+	 * Get the counts for contexts of a given length
+	 * @param {number} length - Context length (0..order)
+	 * @returns {Map<string, Map<string, number>>}
+	 */
+	getCounts(length) {
+		return length === this.order ? this.chains : this.lowerOrderChains[length];
+	}
+
+	/**
+	 * @override
+	 * @param {string[]|string[][]} tokens - Tokens, or an array of token sequences
+	 * @param {Object} options - Same options as MarkovModel.train
+	 */
+	train(tokens, options = {}) {
+		super.train(tokens, options);
+
+		this.smoothingTables = null;
+		this.vocabularyList = null;
+	}
+
+	/**
+	 * @override
+	 * Clear all trained counts, including lower orders
+	 */
+	reset() {
+		super.reset();
+		this.lowerOrderChains.forEach((counts) => counts.clear());
+	}
+
+	/**
+	 * Add counts for every context length from one token sequence
+	 * @param {string[]} tokens - Normalized tokens
+	 * @param {boolean} trackStartStates - Whether to record sentence-start states
+	 */
+	addSequence(tokens, trackStartStates) {
+		const sentenceEndings = new Set(['.', '!', '?']);
+		this.totalTokens += tokens.length;
+
+		for (let i = 0; i < tokens.length; i++) {
+			const nextToken = tokens[i];
+			this.vocabulary.add(nextToken);
+
+			const maxLength = Math.min(this.order, i);
+			for (let length = 0; length <= maxLength; length++) {
+				const state = tokens.slice(i - length, i).join(' ');
+				const counts = this.getCounts(length);
+				if (!counts.has(state)) {
+					counts.set(state, new Map());
+				}
+				const transitions = counts.get(state);
+				transitions.set(nextToken, (transitions.get(nextToken) || 0) + 1);
+			}
+
+			// Full-order states that begin a sentence seed generation
+			const stateStart = i - this.order;
+			if (
+				trackStartStates &&
+				stateStart >= 0 &&
+				(stateStart === 0 || sentenceEndings.has(tokens[stateStart - 1]))
+			) {
+				this.startStates.add(tokens.slice(stateStart, i).join(' '));
+			}
+		}
+	}
+
+	/**
+	 * Build (or return cached) per-order tables used for smoothing.
+	 * Kneser-Ney replaces lower-order counts with continuation counts: the
+	 * number of distinct tokens seen before the n-gram.
+	 * @returns {Array<Object>} - Per context length: { entries, discount, goodTuring }
+	 */
+	getSmoothingTables() {
+		if (this.smoothingTables) {
+			return this.smoothingTables;
+		}
+
+		const tables = [];
+		for (let length = 0; length <= this.order; length++) {
+			const counts =
+				this.smoothing === 'kneser-ney' && length < this.order
+					? this.getContinuationCounts(length)
+					: this.getCounts(length);
+
+			const entries = new Map();
+			const countOfCounts = new Map();
+			for (const [state, transitions] of counts) {
+				let total = 0;
+				for (const count of transitions.values()) {
+					total += count;
+					countOfCounts.set(count, (countOfCounts.get(count) || 0) + 1);
+				}
+				entries.set(state, { transitions, total, types: transitions.size });
+			}
+
+			tables.push({
+				entries,
+				discount: this.discount ?? this.estimateDiscount(countOfCounts),
+				goodTuring: this.estimateGoodTuring(countOfCounts),
+			});
+		}
+
+		this.smoothingTables = tables;
+		return tables;
+	}
+
+	/**
+	 * Continuation counts for contexts of a given length, derived from the
+	 * counts one order higher
+	 * @param {number} length - Context length (< order)
+	 * @returns {Map<string, Map<string, number>>}
+	 */
+	getContinuationCounts(length) {
+		const continuation = new Map();
+		for (const [state, transitions] of this.getCounts(length + 1)) {
+			const shorterState = state.split(' ').slice(1).join(' ');
+			if (!continuation.has(shorterState)) {
+				continuation.set(shorterState, new Map());
+			}
+			const target = continuation.get(shorterState);
+			for (const token of transitions.keys()) {
+				target.set(token, (target.get(token) || 0) + 1);
+			}
+		}
+		return continuation;
+	}
+
+	/**
+	 * Estimate an absolute discount D = n1 / (n1 + 2 * n2)
+	 * @param {Map<number, number>} countOfCounts - count -> number of n-grams
+	 * @returns {number}
+	 */
+	estimateDiscount(countOfCounts) {
+		const n1 = countOfCounts.get(1) || 0;
+		const n2 = countOfCounts.get(2) || 0;
+		if (n1 === 0 || n2 === 0) {
+			return DEFAULT_DISCOUNT;
+		}
+		return n1 / (n1 + 2 * n2);
+	}
+
+	/**
+	 * Estimate Katz's Good-Turing discount ratios for small counts
+	 * @param {Map<number, number>} countOfCounts - count -> number of n-grams
+	 * @returns {Map<number, number>} - count -> discount ratio d_r
+	 */
+	estimateGoodTuring(countOfCounts) {
+		const k = KATZ_MAX_DISCOUNTED_COUNT;
+		const n1 = countOfCounts.get(1) || 0;
+		const ratios = new Map();
+		if (n1 === 0) {
+			return ratios;
+		}
+
+		const cutoff = ((k + 1) * (countOfCounts.get(k + 1) || 0)) / n1;
+		for (let r = 1; r <= k; r++) {
+			const nr = countOfCounts.get(r) || 0;
+			const nr1 = countOfCounts.get(r + 1) || 0;
+			if (nr === 0 || cutoff >= 1) continue;
+
+			const ratio = ((r + 1) * nr1) / (r * nr);
+			const discount = (ratio - cutoff) / (1 - cutoff);
+			if (discount > 0 && discount <= 1) {
+				ratios.set(r, discount);
+			}
+		}
+		return ratios;
+	}
+
+	/**
+	 * Compute the smoothed next-token distribution for a context
+	 * @param {string[]} contextTokens - Preceding tokens (only the last `order` are used)
+	 * @returns {Float64Array} - Probabilities aligned with getVocabularyList()
+	 */
+	getDistribution(contextTokens) {
+		const vocabulary = this.getVocabularyList();
+		const tables = this.getSmoothingTables();
+		const tokenIndex = this.getVocabularyIndex();
+
+		// Start from a uniform distribution so every known token stays reachable
+		const probabilities = new Float64Array(vocabulary.length).fill(
+			1 / vocabulary.length,
+		);
+
+		const maxLength = Math.min(this.order, contextTokens.length);
+		for (let length = 0; length <= maxLength; length++) {
+			const state = contextTokens
+				.slice(contextTokens.length - length)
+				.join(' ');
+			const entry = tables[length].entries.get(state);
+			if (!entry) continue; // Unseen context: keep the shorter estimate
+
+			if (this.smoothing === 'katz') {
+				this.applyKatz(
+					probabilities,
+					entry,
+					tables[length],
+					length,
+					tokenIndex,
+				);
+			} else {
+				this.applyKneserNey(probabilities, entry, tables[length], tokenIndex);
+			}
+		}
+
+		return probabilities;
+	}
+
+	/**
+	 * Interpolate one context's discounted counts with the lower-order estimate
+	 * @private
+	 */
+	applyKneserNey(probabilities, entry, table, tokenIndex) {
+		const { transitions, total, types } = entry;
+		const discount = Math.min(table.discount, 1);
+		const lowerWeight = (discount * types) / total;
+
+		for (let i = 0; i < probabilities.length; i++) {
+			probabilities[i] *= lowerWeight;
+		}
+		for (const [token, count] of transitions) {
+			probabilities[tokenIndex.get(token)] +=
+				Math.max(count - discount, 0) / total;
+		}
+	}
+
+	/**
+	 * Replace the lower-order estimate with Katz backoff for one context
+	 * @private
+	 */
+	applyKatz(probabilities, entry, table, length, tokenIndex) {
+		const { transitions } = entry;
+
+		let seenMass = 0;
+		let lowerSeenMass = 0;
+		const discounted = [];
+		for (const [token, count] of transitions) {
+			const index = tokenIndex.get(token);
+			const probability = this.getKatzDiscountedProbability(
+				count,
+				entry,
+				table,
+				length,
+			);
+			discounted.push([index, probability]);
+			seenMass += probability;
+			lowerSeenMass += probabilities[index];
+		}
+
+		const alpha =
+			lowerSeenMass < 1 ? Math.max(1 - seenMass, 0) / (1 - lowerSeenMass) : 0;
+		for (let i = 0; i < probabilities.length; i++) {
+			probabilities[i] *= alpha;
+		}
+		for (const [index, probability] of discounted) {
+			probabilities[index] = probability;
+		}
+	}
+
+	/**
+	 * Vocabulary as a stable array (cached until the next train or load)
+	 * @returns {string[]}
+	 */
+	getVocabularyList() {
+		if (!this.vocabularyList) {
+			this.vocabularyList = Array.from(this.vocabulary);
+			this.vocabularyIndex = new Map(
+				this.vocabularyList.map((token, i) => [token, i]),
+			);
+		}
+		return this.vocabularyList;
+	}
+
+	/**
+	 * @returns {Map<string, number>} - token -> index into getVocabularyList()
+	 */
+	getVocabularyIndex() {
+		this.getVocabularyList();
+		return this.vocabularyIndex;
+	}
+
+	/**
+	 * Smoothed probability of a token following a context, computed for that
+	 * token alone (cheaper than building the full distribution)
+	 * @param {string} token - Candidate next token
+	 * @param {string[]} contextTokens - Preceding tokens
+	 * @returns {number} - Probability (0 for out-of-vocabulary tokens)
+	 */
+	getProbability(token, contextTokens) {
+		if (!this.vocabulary.has(token)) {
+			return 0;
+		}
+
+		const tables = this.getSmoothingTables();
+		let probability = 1 / this.vocabulary.size;
+
+		const maxLength = Math.min(this.order, contextTokens.length);
+		for (let length = 0; length <= maxLength; length++) {
+			const stateTokens = contextTokens.slice(contextTokens.length - length);
+			const entry = tables[length].entries.get(stateTokens.join(' '));
+			if (!entry) continue;
+
+			const count = entry.transitions.get(token) || 0;
+			if (this.smoothing === 'katz') {
+				probability =
+					count > 0
+						? this.getKatzDiscountedProbability(
+								count,
+								entry,
+								tables[length],
+								length,
+							)
+						: this.getKatzAlpha(entry, tables[length], length, stateTokens) *
+							probability;
+			} else {
+				const discount = Math.min(tables[length].discount, 1);
+				probability =
+					((discount * entry.types) / entry.total) * probability +
+					Math.max(count - discount, 0) / entry.total;
+			}
+		}
+
+		return probability;
+	}
+
+	/**
+	 * Katz probability for a token seen in a context
+	 * @private
+	 */
+	getKatzDiscountedProbability(count, entry, table, length) {
+		// Unigrams keep maximum-likelihood estimates
+		let ratio = 1;
+		if (length > 0 && count <= KATZ_MAX_DISCOUNTED_COUNT) {
+			ratio =
+				table.goodTuring.get(count) ??
+				Math.max(count - table.discount, 0) / count;
+		}
+		return (ratio * count) / entry.total;
+	}
+
+	/**
+	 * Katz backoff weight for a context (cached on its table entry)
+	 * @private
+	 */
+	getKatzAlpha(entry, table, length, stateTokens) {
+		if (entry.alpha === undefined) {
+			let seenMass = 0;
+			let lowerSeenMass = 0;
+			const lowerContext = stateTokens.slice(1);
+			for (const [token, count] of entry.transitions) {
+				seenMass += this.getKatzDiscountedProbability(
+					count,
+					entry,
+					table,
+					length,
+				);
+				lowerSeenMass +=
+					length > 0
+						? this.getProbability(token, lowerContext)
+						: 1 / this.vocabulary.size;
+			}
+			entry.alpha =
+				lowerSeenMass < 1 ? Math.max(1 - seenMass, 0) / (1 - lowerSeenMass) : 0;
+		}
+		return entry.alpha;
+	}
+
+	/**
+	 * @override
+	 * Score each token with the smoothed distribution over its history
+	 * @param {string[]} tokens - Normalized tokens
+	 * @returns {Array<{token: string, probability: number, oov: boolean, contextLength: number}>}
+	 */
+	scoreSequence(tokens) {
+		const tables = this.getSmoothingTables();
+
+		return tokens.map((token, i) => {
+			const history = tokens.slice(Math.max(0, i - this.order), i);
+
+			// Longest context with observed counts
+			let contextLength = 0;
+			for (let length = history.length; length > 0; length--) {
+				const state = history.slice(history.length - length).join(' ');
+				if (tables[length].entries.has(state)) {
+					contextLength = length;
+					break;
+				}
+			}
+
+			return {
+				token,
+				probability: this.getProbability(token, history),
+				oov: !this.vocabulary.has(token),
+				contextLength,
+			};
+		});
+	}
+
+	/**
+	 * @override
+	 * Get all possible next tokens for a state with smoothed probabilities
+	 * @param {string} state - Current state (up to `order` tokens)
+	 * @returns {Array<{token: string, probability: number, count: number}>}
+	 */
+	getTransitions(state) {
+		if (this.vocabulary.size === 0) {
+			return [];
+		}
+
+		const contextTokens = state ? state.split(' ') : [];
+		const probabilities = this.getDistribution(contextTokens);
+		const observed = this.chains.get(state);
+		const vocabulary = this.getVocabularyList();
+
+		const transitions = [];
+		for (let i = 0; i < vocabulary.length; i++) {
+			if (probabilities[i] > 0) {
+				transitions.push({
+					token: vocabulary[i],
+					probability: probabilities[i],
+					count: observed?.get(vocabulary[i]) || 0,
+				});
+			}
+		}
+		return transitions;
+	}
+
+	/**
+	 * @override
+	 * Histories shorter than the order back off like any unseen context
+	 * @param {string[]} history - Tokens so far
+	 * @returns {Array<{token: string, probability: number}>}
+	 */
+	getNextTokenDistribution(history) {
+		return this.getTransitions(history.slice(-this.order).join(' '));
+	}
+
+	/**
+	 * @override
+	 * Smoothing gives every vocabulary token some probability after any
+	 * context, so the observed chains say nothing about what can follow
+	 * @returns {null}
+	 */
+	getTransitionGraph() {
+		return null;
+	}
+
+	/**
+	 * @override
+	 * Prompts seed generation even when their context was never seen;
+	 * smoothing backs off to whatever suffix the model knows
+	 * @param {string[]} tokens - Token history, e.g. a tokenized prompt
+	 * @returns {string|null} - Its last `order` tokens (null if empty)
+	 */
+	matchState(tokens) {
+		return tokens.length > 0 ? tokens.slice(-this.order).join(' ') : null;
+	}
+
+	/**
+	 * @override
+	 * @param {string} currentState - The current state
+	 * @param {string} newToken - The new token
+	 * @returns {string} - The last `order` tokens including the new one
+	 */
+	updateState(currentState, newToken) {
+		const stateTokens = currentState ? currentState.split(' ') : [];
+		return [...stateTokens, newToken].slice(-this.order).join(' ');
+	}
+
+	/**
+	 * @override
+	 * @returns {Object} - Model statistics
+	 */
+	getStats() {
+		const tables = this.getSmoothingTables();
+		return {
+			...super.getStats(),
+			smoothing: this.smoothing,
+			statesPerOrder: Array.from(
+				{ length: this.order + 1 },
+				(_, length) => this.getCounts(length).size,
+			),
+			discounts: tables.map((table) => Number(table.discount.toFixed(4))),
+		};
+	}
+
+	/**
+	 * @override
+	 * Counts every context length
+	 * @returns {{contexts: number, transitions: number, startStates: number}}
+	 */
+	getSize() {
+		let contexts = 0;
+		let transitions = 0;
+		for (let length = 0; length <= this.order; length++) {
+			for (const next of this.getCounts(length).values()) {
+				contexts++;
+				transitions += next.size;
+			}
+		}
+		return { contexts, transitions, startStates: this.startStates.size };
+	}
+
+	/**
+	 * @override
+	 * Prune every context length but the unigram counts, comparing each
+	 * context's counts with its backoff context's for klThreshold. Start
+	 * states stay: smoothing continues from them even once pruned.
+	 * @param {Object} options - minCount, maxStates and klThreshold (see Pruning.js)
+	 */
+	prune(options = {}) {
+		pruneContexts(
+			Array.from({ length: this.order + 1 }, (_, length) =>
+				this.getCounts(length),
+			),
+			options,
+		);
+
+		this.smoothingTables = null;
+		this.vocabularyList = null;
+	}
+
+	/**
+	 * @override
+	 * @returns {Object} - Serializable model data
+	 */
+	toJSON() {
+		return {
+			...super.toJSON(),
+			smoothing: this.smoothing,
+			discount: this.discount,
+			lowerOrderChains: this.lowerOrderChains.map((counts) =>
+				Object.fromEntries(
+					Array.from(counts.entries()).map(([state, transitions]) => [
+						state,
+						Object.fromEntries(transitions),
+					]),
+				),
+			),
+		};
+	}
+
+	/**
+	 * @override
+	 * @param {Object} data - Serialized model data
+	 */
+	fromJSON(data) {
+		super.fromJSON(data);
+
+		this.smoothing = data.smoothing || 'kneser-ney';
+		this.discount = data.discount ?? null;
+		this.lowerOrderChains = (data.lowerOrderChains || []).map(
+			(counts) =>
+				new Map(
+					Object.entries(counts).map(([state, transitions]) => [
+						state,
+						new Map(
+							Object.entries(transitions).map(([token, count]) => [
+								token,
+								Number(count),
+							]),
+						),
+					]),
+				),
+		);
+		this.smoothingTables = null;
+		this.vocabularyList = null;
+	}
+}
+
+registerModelType(NGramModel);
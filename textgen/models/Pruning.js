@@ -0,0 +1,189 @@
+/**
+ * Count-based and entropy-based pruning of context tables.
+ *
+ * Contexts are grouped by length: `levels[length]` maps each context (its
+ * tokens joined by spaces) to its next-token counts. Longest contexts are
+ * pruned first:
+ *
+ * - `minCount` drops transitions seen fewer times; contexts left with none
+ *   go too
+ * - `klThreshold` drops a context whose next-token distribution barely
+ *   differs from its backoff context's (the same context without its oldest
+ *   token): its count times the KL divergence between the two, the bits of
+ *   training-data likelihood the longer context is worth, falls below the
+ *   threshold. A context that a kept longer context backs off to is kept,
+ *   so pruned models still back off one token at a time
+ * - `maxStates` keeps only the most frequent contexts of each length
+ *
+ * The empty context (length 0) is never pruned.
+ *
+ * `selectContexts` grows a probabilistic suffix tree from full counts the
+ * same way: a context is kept when it was seen at least `minSupport` times
+ * and is worth at least `significance` bits over its backoff context, or
+ * when a kept longer context backs off to it.
+ */
+
+/**
+ * Read and check pruning options
+ * @param {Object} options - Pruning options
+ * @param {number} options.minCount - Drop transitions seen fewer times (default: 1, keep all)
+ * @param {number} options.maxStates - Contexts kept per context length (default: all)
+ * @param {number} options.klThreshold - Drop contexts worth fewer bits than this (default: 0, keep all)
+ * @returns {{minCount: number, maxStates: number|null, klThreshold: number}}
+ */
+export function getPruneOptions(options = {}) {
+	const { minCount = 1, maxStates = null, klThreshold = 0 } = options;
+
+	if (!Number.isInteger(minCount) || minCount < 1) {
+		throw new Error('minCount must be a positive integer');
+	}
+	if (maxStates !== null && (!Number.isInteger(maxStates) || maxStates < 1)) {
+		throw new Error('maxStates must be a positive integer');
+	}
+	if (typeof klThreshold !== 'number' || !(klThreshold >= 0)) {
+		throw new Error('klThreshold must be a non-negative number');
+	}
+
+	return { minCount, maxStates, klThreshold };
+}
+
+/**
+ * Total of a context's next-token counts
+ * @param {Map<string, number>} transitions - Next-token counts
+ * @returns {number}
+ */
+export function totalCount(transitions) {
+	let total = 0;
+	for (const count of transitions.values()) {
+		total += count;
+	}
+	return total;
+}
+
+/**
+ * Bits of training-data likelihood a context gains over its backoff context
+ * @param {Map<string, number>} transitions - The context's next-token counts
+ * @param {Map<string, number>} backoff - The backoff context's next-token counts
+ * @returns {number} - count × KL(context ‖ backoff) in bits; Infinity if the
+ *   context saw a token the backoff context didn't
+ */
+export function contextGain(transitions, backoff) {
+	const total = totalCount(transitions);
+	const backoffTotal = totalCount(backoff);
+
+	let bits = 0;
+	for (const [token, count] of transitions) {
+		const backoffCount = backoff.get(token) || 0;
+		if (backoffCount === 0) {
+			return Infinity;
+		}
+		bits += count * Math.log2(count / total / (backoffCount / backoffTotal));
+	}
+	return bits;
+}
+
+/**
+ * Prune context tables in place
+ * @param {Array<Map<string, Map<string, number>>|undefined>} levels -
+ *   Contexts of each length; a missing level has no contexts to prune, or
+ *   none to back off to
+ * @param {Object} options - Pruning options (see getPruneOptions)
+ */
+export function pruneContexts(levels, options = {}) {
+	const { minCount, maxStates, klThreshold } = getPruneOptions(options);
+
+	for (let length = levels.length - 1; length >= 1; length--) {
+		const contexts = levels[length];
+		if (!contexts) continue;
+
+		if (minCount > 1) {
+			for (const [key, transitions] of contexts) {
+				for (const [token, count] of transitions) {
+					if (count < minCount) {
+						transitions.delete(token);
+					}
+				}
+				if (transitions.size === 0) {
+					contexts.delete(key);
+				}
+			}
+		}
+
+		const backoffLevel = levels[length - 1];
+		if (klThreshold > 0 && backoffLevel) {
+			dropContexts(levels, length, (key, transitions) => {
+				const backoff = backoffLevel.get(backoffKey(key));
+				return backoff && contextGain(transitions, backoff) < klThreshold;
+			});
+		}
+
+		if (maxStates !== null && contexts.size > maxStates) {
+			const ranked = Array.from(contexts).sort(
+				([, a], [, b]) => totalCount(b) - totalCount(a),
+			);
+			for (const [key] of ranked.slice(maxStates)) {
+				contexts.delete(key);
+			}
+		}
+	}
+}
+
+/**
+ * Keep only the contexts of a probabilistic suffix tree, in place
+ * @param {Array<Map<string, Map<string, number>>|undefined>} levels -
+ *   Contexts of each length, with full counts; contexts of a length with no
+ *   level below it are all kept
+ * @param {Object} options - Selection options
+ * @param {number} options.significance - Bits a context must be worth over
+ *   its backoff context (default: 2)
+ * @param {number} options.minSupport - Times a context must have been seen
+ *   (default: 2)
+ */
+export function selectContexts(levels, options = {}) {
+	const { significance = 2, minSupport = 2 } = options;
+
+	for (let length = levels.length - 1; length >= 1; length--) {
+		const backoffLevel = levels[length - 1];
+		if (!levels[length] || !backoffLevel) continue;
+
+		dropContexts(levels, length, (key, transitions) => {
+			const backoff = backoffLevel.get(backoffKey(key));
+			return (
+				backoff &&
+				(totalCount(transitions) < minSupport ||
+					contextGain(transitions, backoff) < significance)
+			);
+		});
+	}
+}
+
+/**
+ * Drop the contexts of one length that a test rejects, except those a kept
+ * context one token longer backs off to
+ * @param {Array<Map<string, Map<string, number>>|undefined>} levels - Contexts of each length
+ * @param {number} length - Context length to prune
+ * @param {Function} reject - (key, transitions) => whether to drop the context
+ */
+function dropContexts(levels, length, reject) {
+	const needed = new Set();
+	for (const key of levels[length + 1]?.keys() || []) {
+		needed.add(backoffKey(key));
+	}
+
+	const contexts = levels[length];
+	for (const [key, transitions] of contexts) {
+		if (!needed.has(key) && reject(key, transitions)) {
+			contexts.delete(key);
+		}
+	}
+}
+
+/**
+ * The context a context backs off to
+ * @param {string} key - Context tokens joined by spaces
+ * @returns {string} - The context without its oldest token
+ */
+function backoffKey(key) {
+	const space = key.indexOf(' ');
+	return space === -1 ? '' : key.slice(space + 1);
+}
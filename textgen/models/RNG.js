@@ -2,9 +2,25 @@
  * Optimized Xorshift32 PRNG
  */
 class RNG {
+	/**
+	 * @param {number} [seed] - 32-bit integer seed (random when omitted)
+	 */
 	constructor(seed) {
 		this.seed = seed ?? RNG.generateSeed();
-		this.state = this.seed || 0xdeadbeef; // Ensure non-zero state
+		this.state = RNG.mixSeed(this.seed) || 0xdeadbeef; // Ensure non-zero state
+	}
+
+	/**
+	 * Scramble a seed so that small or similar seeds start far apart;
+	 * xorshift's first outputs from a small state are close to 0
+	 * @param {number} seed - Integer seed
+	 * @returns {number} - Mixed 32-bit state
+	 */
+	static mixSeed(seed) {
+		let h = seed >>> 0;
+		h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+		h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+		return (h ^ (h >>> 16)) >>> 0;
 	}
 
 	/**
@@ -0,0 +1,208 @@
+import { random } from './RNG.js';
+
+/**
+ * Shared next-token sampling for all model types.
+ *
+ * Candidates are `{token, probability}` objects. Filters run in this order,
+ * each keeping at least one candidate:
+ * temperature -> typical_p -> top_k -> top_p -> min_p
+ */
+
+/**
+ * Pick the sampling options out of a generation context
+ * @param {Object} context - Generation context
+ * @returns {{temperature: number, top_k: number, top_p: number, min_p: number, typical_p: number}}
+ */
+export function getSamplingOptions(context = {}) {
+	return {
+		temperature: context.temperature ?? 1.0,
+		top_k: context.top_k ?? 0,
+		top_p: context.top_p ?? 1.0,
+		min_p: context.min_p ?? 0,
+		typical_p: context.typical_p ?? 1.0,
+	};
+}
+
+/**
+ * Scale probabilities by 1/temperature in log space and renormalize
+ * @param {Array<{token: string, probability: number}>} candidates
+ * @param {number} temperature - Randomness factor (> 0)
+ * @returns {Array<{token: string, probability: number}>}
+ */
+export function applyTemperature(candidates, temperature) {
+	if (temperature === 1 || candidates.length === 0) {
+		return normalize(candidates);
+	}
+
+	// Relative to the largest probability, so low temperatures can't underflow
+	const maxLog = candidates.reduce(
+		(max, c) => Math.max(max, Math.log(c.probability)),
+		-Infinity,
+	);
+	return normalize(
+		candidates.map((c) => ({
+			...c,
+			probability: Math.exp((Math.log(c.probability) - maxLog) / temperature),
+		})),
+	);
+}
+
+/**
+ * Keep the k most probable candidates
+ * @param {Array<{token: string, probability: number}>} candidates - Sorted, most probable first
+ * @param {number} k - Number to keep (0 disables)
+ * @returns {Array<{token: string, probability: number}>}
+ */
+export function applyTopK(candidates, k) {
+	if (!(k > 0) || k >= candidates.length) return candidates;
+	return candidates.slice(0, k);
+}
+
+/**
+ * Keep the smallest set of most probable candidates whose mass reaches p
+ * @param {Array<{token: string, probability: number}>} candidates - Sorted and normalized
+ * @param {number} p - Cumulative probability to keep (1 disables)
+ * @returns {Array<{token: string, probability: number}>}
+ */
+export function applyTopP(candidates, p) {
+	if (!(p < 1)) return candidates;
+
+	let cumulative = 0;
+	for (let i = 0; i < candidates.length; i++) {
+		cumulative += candidates[i].probability;
+		if (cumulative >= p) return candidates.slice(0, i + 1);
+	}
+	return candidates;
+}
+
+/**
+ * Drop candidates less likely than min_p times the most probable one
+ * @param {Array<{token: string, probability: number}>} candidates - Sorted, most probable first
+ * @param {number} minP - Fraction of the top probability (0 disables)
+ * @returns {Array<{token: string, probability: number}>}
+ */
+export function applyMinP(candidates, minP) {
+	if (!(minP > 0) || candidates.length === 0) return candidates;
+	const threshold = candidates[0].probability * minP;
+	return candidates.filter((c, i) => i === 0 || c.probability >= threshold);
+}
+
+/**
+ * Locally typical sampling: keep the candidates whose surprisal is closest
+ * to the distribution's entropy until their mass reaches p
+ * @param {Array<{token: string, probability: number}>} candidates - Normalized
+ * @param {number} p - Cumulative probability to keep (1 disables)
+ * @returns {Array<{token: string, probability: number}>} - Sorted, most probable first
+ */
+export function applyTypical(candidates, p) {
+	if (!(p < 1)) return candidates;
+
+	const entropy = candidates.reduce(
+		(sum, c) =>
+			c.probability > 0 ? sum - c.probability * Math.log(c.probability) : sum,
+		0,
+	);
+	const byTypicality = [...candidates].sort(
+		(a, b) =>
+			Math.abs(-Math.log(a.probability) - entropy) -
+			Math.abs(-Math.log(b.probability) - entropy),
+	);
+
+	const kept = applyTopP(byTypicality, p);
+	return kept.sort((a, b) => b.probability - a.probability);
+}
+
+/**
+ * Apply temperature and every truncation filter
+ * @param {Array<{token: string, probability: number}>} candidates
+ * @param {Object} options - Output of getSamplingOptions()
+ * @returns {Array<{token: string, probability: number}>} - Normalized, most probable first
+ */
+export function filterCandidates(candidates, options) {
+	const { temperature, top_k, top_p, min_p, typical_p } = options;
+
+	let filtered = applyTemperature(
+		candidates.filter((c) => c.probability > 0),
+		temperature,
+	).sort((a, b) => b.probability - a.probability);
+
+	filtered = normalize(applyTypical(filtered, typical_p));
+	filtered = normalize(applyTopK(filtered, top_k));
+	filtered = normalize(applyTopP(filtered, top_p));
+	return normalize(applyMinP(filtered, min_p));
+}
+
+/**
+ * Sample a token from candidates under the given sampling options.
+ * Temperature 0 is greedy.
+ * @param {Array<{token: string, probability: number}>} candidates
+ * @param {Object} options - Output of getSamplingOptions(), optionally with
+ *   `constraints` (LexicalConstraints) to apply to the candidates first and
+ *   `onSample(token, probability)`, called with the model's own probability
+ *   of each sampled token (before constraints, temperature and truncation)
+ * @param {Function} randomFn - Random function (default: random)
+ * @returns {string|null} - Sampled token, or null if there are no candidates
+ */
+export function sampleToken(candidates, options, randomFn = random) {
+	const token = pickToken(candidates, options, randomFn);
+	if (token !== null && options.onSample) {
+		const total = candidates.reduce(
+			(sum, c) => (c.probability > 0 ? sum + c.probability : sum),
+			0,
+		);
+		const chosen = candidates.find((c) => c.token === token);
+		options.onSample(token, total > 0 ? chosen.probability / total : null);
+	}
+	return token;
+}
+
+/**
+ * Pick a token for sampleToken()
+ * @param {Array<{token: string, probability: number}>} candidates
+ * @param {Object} options - Sampling options
+ * @param {Function} randomFn - Random function
+ * @returns {string|null}
+ */
+function pickToken(candidates, options, randomFn) {
+	if (options.constraints) {
+		candidates = options.constraints.apply(candidates);
+	}
+
+	if (candidates.length === 0) {
+		return null;
+	}
+
+	if (options.temperature === 0) {
+		return candidates.reduce((best, current) =>
+			current.probability > best.probability ? current : best,
+		).token;
+	}
+
+	const filtered = filterCandidates(candidates, options);
+	if (filtered.length === 0) {
+		return null;
+	}
+
+	const rand = randomFn();
+	let cumulativeProb = 0;
+	for (const { token, probability } of filtered) {
+		cumulativeProb += probability;
+		if (rand <= cumulativeProb) {
+			return token;
+		}
+	}
+
+	// Fallback for floating point round-off
+	return filtered[filtered.length - 1].token;
+}
+
+/**
+ * Rescale probabilities to sum to 1
+ * @param {Array<{token: string, probability: number}>} candidates
+ * @returns {Array<{token: string, probability: number}>}
+ */
+function normalize(candidates) {
+	const total = candidates.reduce((sum, c) => sum + c.probability, 0);
+	if (!(total > 0)) return candidates;
+	return candidates.map((c) => ({ ...c, probability: c.probability / total }));
+}
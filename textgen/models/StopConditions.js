@@ -0,0 +1,195 @@
+import { PARAGRAPH_TOKEN, SPACE_TOKEN } from './Tokenizer.js';
+
+/**
+ * Stop conditions shared by every model's generate loop and beam search.
+ *
+ * - Stop sequences: entries of `stop`, tokenized like the corpus, so "THE END"
+ *   matches the two tokens `the end`; single tokens such as "." also match
+ *   as given
+ * - Stop patterns: regular expressions tested on the detokenized text of
+ *   the last PATTERN_WINDOW tokens, so each check costs the same however
+ *   long the text grows
+ * - Sentence limit: stop once `max_sentences` sentences have been completed,
+ *   counting sentence-ending tokens with any word-start mark removed, so
+ *   BPE's "▁." counts as "."
+ * - Paragraph limit: stop once `max_paragraphs` paragraphs have been
+ *   completed, counting paragraph breaks (models trained with `paragraphs`
+ *   learn them from blank lines in word or whitespace tokenized corpora)
+ *
+ * Conditions are checked after each new token, once at least `min_tokens`
+ * tokens exist; tokens present before generation began (the prompt or start
+ * state) never trigger them.
+ */
+
+const SENTENCE_ENDINGS = new Set(['.', '!', '?']);
+
+// Tokens of text that stop patterns see at each check
+const PATTERN_WINDOW = 64;
+
+export class StopConditions {
+	/**
+	 * Build the stop conditions for a generation call
+	 * @param {TextModel} model - Model generating the text
+	 * @param {GenerationContext} context - Generation options with `stop`,
+	 *   `stop_patterns`, `max_sentences`, `max_paragraphs` and `min_tokens`
+	 * @returns {StopConditions}
+	 */
+	static fromContext(model, context) {
+		const {
+			stop = [],
+			stop_patterns = [],
+			max_sentences = 0,
+			max_paragraphs = 0,
+		} = context;
+
+		const sequences = [];
+		for (const entry of stop.map(String).filter((entry) => entry.trim())) {
+			sequences.push({ value: entry, tokens: model.tokenizeText(entry) });
+			// Single tokens also match as given, as stop tokens always have
+			// (BPE marks a lone "." as a word start, for one)
+			if (!/\s/.test(entry)) {
+				sequences.push({ value: entry, tokens: [entry] });
+			}
+		}
+
+		const patterns = stop_patterns.map((source) => {
+			try {
+				return { value: String(source), regex: new RegExp(source, 'g') };
+			} catch (error) {
+				throw new Error(`Invalid stop pattern "${source}": ${error.message}`);
+			}
+		});
+
+		return new StopConditions({
+			model,
+			sequences,
+			patterns,
+			max_sentences,
+			max_paragraphs,
+			min_tokens: context.min_tokens,
+			detokenizer: context.detokenizer,
+		});
+	}
+
+	/**
+	 * @param {Object} options - Stop options
+	 * @param {TextModel} options.model - Model whose postProcess() detokenizes
+	 * @param {Array<{value: string, tokens: string[]}>} options.sequences - Stop sequences
+	 * @param {Array<{value: string, regex: RegExp}>} options.patterns - Global regexes
+	 * @param {number} options.max_sentences - Sentences before stopping (0: no limit)
+	 * @param {number} options.max_paragraphs - Paragraphs before stopping (0: no limit)
+	 * @param {number} options.min_tokens - Tokens before any condition applies
+	 * @param {string} options.detokenizer - Rule set the text is joined with
+	 *   (default: the model's)
+	 */
+	constructor(options = {}) {
+		this.model = options.model;
+		this.sequences = options.sequences || [];
+		this.patterns = options.patterns || [];
+		this.max_sentences = options.max_sentences || 0;
+		this.max_paragraphs = options.max_paragraphs || 0;
+		this.min_tokens = options.min_tokens || 0;
+		this.detokenizer = options.detokenizer || null;
+		// Tokens that existed before generation began
+		this.startLength = 0;
+	}
+
+	/**
+	 * Record the tokens generation starts from
+	 * @param {string[]} tokens - Prompt or start tokens
+	 */
+	begin(tokens) {
+		this.startLength = tokens.length;
+	}
+
+	/**
+	 * Check whether the last token ended generation
+	 * @param {string[]} tokens - All tokens so far, the newest last
+	 * @returns {{type: string, value: string|number}|null} - The condition
+	 *   that fired ('sequence', 'pattern', 'sentences' or 'paragraphs'), or null
+	 */
+	check(tokens) {
+		if (tokens.length < this.min_tokens || tokens.length <= this.startLength) {
+			return null;
+		}
+
+		const generated = tokens.length - this.startLength;
+		for (const { value, tokens: sequence } of this.sequences) {
+			if (
+				sequence.length <= generated &&
+				sequence.every(
+					(token, i) => tokens[tokens.length - sequence.length + i] === token,
+				)
+			) {
+				return { type: 'sequence', value };
+			}
+		}
+
+		if (this.max_sentences > 0) {
+			const sentences = this.count(tokens, isSentenceEnd);
+			if (sentences >= this.max_sentences) {
+				return { type: 'sentences', value: sentences };
+			}
+		}
+
+		if (this.max_paragraphs > 0) {
+			const paragraphs = this.count(
+				tokens,
+				(token) => token === PARAGRAPH_TOKEN,
+			);
+			if (paragraphs >= this.max_paragraphs) {
+				return { type: 'paragraphs', value: paragraphs };
+			}
+		}
+
+		if (this.patterns.length > 0) {
+			// Only matches ending in generated text count
+			const from = Math.max(0, tokens.length - PATTERN_WINDOW);
+			const text = this.text(tokens.slice(from));
+			const promptLength =
+				from < this.startLength
+					? this.text(tokens.slice(from, this.startLength)).length
+					: 0;
+			for (const { value, regex } of this.patterns) {
+				for (const match of text.matchAll(regex)) {
+					if (match.index + match[0].length > promptLength) {
+						return { type: 'pattern', value };
+					}
+				}
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Count generated tokens that pass a test
+	 * @param {string[]} tokens - All tokens so far
+	 * @param {Function} test - Token test
+	 * @returns {number}
+	 */
+	count(tokens, test) {
+		let count = 0;
+		for (let i = this.startLength; i < tokens.length; i++) {
+			if (test(tokens[i])) count++;
+		}
+		return count;
+	}
+
+	/**
+	 * Text that patterns are tested on
+	 * @param {string[]} tokens - Tokens so far
+	 * @returns {string}
+	 */
+	text(tokens) {
+		return this.model.postProcess(tokens, { detokenizer: this.detokenizer });
+	}
+}
+
+/**
+ * @param {string} token - Generated token
+ * @returns {boolean} - Whether it ends a sentence, ignoring a word-start mark
+ */
+function isSentenceEnd(token) {
+	return SENTENCE_ENDINGS.has(token.replaceAll(SPACE_TOKEN, ''));
+}
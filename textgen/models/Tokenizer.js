@@ -1,3 +1,32 @@
+// Methods that split below word level; their tokens join without spaces
+export const CHARACTER_METHODS = ['char', 'grapheme'];
+
+// Stands in for whitespace in character-level token streams, so tokens never
+// contain the space models use to join states
+export const SPACE_TOKEN = '\u2581';
+
+// Stands for a blank line when tokenizing with `preserveParagraphs`, so
+// models learn where paragraphs end; the Detokenizer prints it as a
+// paragraph break
+export const PARAGRAPH_TOKEN = '\n\n';
+
+// Methods that can keep paragraph breaks as PARAGRAPH_TOKEN
+export const PARAGRAPH_METHODS = ['word', 'whitespace'];
+
+/**
+ * Join character-level tokens back into text
+ * @param {string[]} tokens - Character or grapheme tokens
+ * @returns {string} - Text with SPACE_TOKEN turned back into spaces
+ */
+export function joinCharacters(tokens) {
+	return tokens
+		.join('')
+		.split(SPACE_TOKEN)
+		.join(' ')
+		.replace(/\s+/g, ' ')
+		.trim();
+}
+
 /**
  * Handles all text tokenization operations
  */
@@ -10,9 +39,11 @@ export class Tokenizer {
 	 * Main tokenization method
 	 * @param {string} text - Input text
 	 * @param {Object} options - Tokenization options
-	 * @param {string} [options.method='word'] - 'word', 'whitespace', or 'sentence'
+	 * @param {string} [options.method='word'] - 'word', 'whitespace', 'sentence', 'char' or 'grapheme'
 	 * @param {boolean} [options.preservePunctuation=true] - Keep punctuation as separate tokens
 	 * @param {boolean} [options.preserveCase=true] - Maintain original casing
+	 * @param {boolean} [options.preserveParagraphs=false] - Emit PARAGRAPH_TOKEN
+	 *   for blank lines (word and whitespace only)
 	 * @returns {string[]} Array of tokens
 	 */
 	/**
@@ -30,11 +61,26 @@ export class Tokenizer {
 			method = 'word',
 			preservePunctuation = true,
 			preserveCase = true,
+			preserveParagraphs = false,
 		} = options;
 
+		if (
+			preserveParagraphs &&
+			PARAGRAPH_METHODS.includes(method.toLowerCase())
+		) {
+			const paragraphs = text.split(/\n\s*\n/).filter((part) => part.trim());
+			if (paragraphs.length > 1) {
+				return paragraphs.flatMap((paragraph, i) => {
+					const tokens = this.tokenize(paragraph, options);
+					return i === 0 ? tokens : [PARAGRAPH_TOKEN, ...tokens];
+				});
+			}
+		}
+
 		// Pre-process text
 		let processedText = this.normalizeWhitespace(text);
-		if (preservePunctuation) {
+		const characterLevel = CHARACTER_METHODS.includes(method.toLowerCase());
+		if (preservePunctuation && !characterLevel) {
 			processedText = this.handlePunctuation(processedText);
 		}
 
@@ -50,6 +96,12 @@ export class Tokenizer {
 			case 'sentence':
 				tokens = this.tokenizeBySentence(processedText);
 				break;
+			case 'char':
+				tokens = this.tokenizeByCharacter(processedText);
+				break;
+			case 'grapheme':
+				tokens = this.tokenizeByGrapheme(processedText);
+				break;
 			default:
 				throw new Error(`Unknown tokenization method: ${method}`);
 		}
@@ -112,6 +164,30 @@ export class Tokenizer {
 			.filter((s) => s.length > 0);
 	}
 
+	/**
+	 * Tokenize text into Unicode code points; spaces become SPACE_TOKEN
+	 * @param {string} text - The text to tokenize
+	 * @returns {string[]} - The array of characters
+	 */
+	tokenizeByCharacter(text) {
+		return Array.from(text, (char) => (char === ' ' ? SPACE_TOKEN : char));
+	}
+
+	/**
+	 * Tokenize text into grapheme clusters, so combining marks and emoji
+	 * sequences stay whole; spaces become SPACE_TOKEN
+	 * @param {string} text - The text to tokenize
+	 * @returns {string[]} - The array of graphemes
+	 */
+	tokenizeByGrapheme(text) {
+		const segmenter = new Intl.Segmenter(undefined, {
+			granularity: 'grapheme',
+		});
+		return Array.from(segmenter.segment(text), ({ segment }) =>
+			segment === ' ' ? SPACE_TOKEN : segment,
+		);
+	}
+
 	/**
 	 * Normalize whitespace characters
 	 * @param {string} text - Input text
@@ -5,12 +5,84 @@ import {
 } from '../Interfaces.js';
 import { VLMMNode } from './VLMMNode.js';
 import { random } from '../RNG.js';
+import { registerModelType } from '../ModelRegistry.js';
+import { getSamplingOptions, sampleToken } from '../Sampling.js';
+import { LexicalConstraints } from '../Constraints.js';
+import { StopConditions } from '../StopConditions.js';
+import { toTokenSequences } from '../Markov/Model.js';
+import { pruneContexts, selectContexts } from '../Pruning.js';
+
+// How training chooses which contexts to keep
+export const VLMM_CONSTRUCTIONS = ['full', 'pst'];
 
 /**
  * Variable-Length Markov Model for text generation
- * Fixed training logic and improved context handling
+ *
+ * Contexts live in a trie and generation predicts from the longest context
+ * that matches the history. With the `full` construction every context up
+ * to `order` is kept; with `pst` training grows a probabilistic suffix
+ * tree, keeping a context only if it was seen `minSupport` times and its
+ * next-token distribution differs significantly from its one-shorter suffix,
+ * so context lengths vary with how much each extra token tells.
  */
 export class VLMModel extends TextModel {
+	static modelType = 'vlmm';
+
+	static optionsSchema = {
+		...TextModel.optionsSchema,
+		order: {
+			type: 'integer',
+			description: 'Maximum context length',
+			default: 5,
+			min: 1,
+			max: 10,
+		},
+		construction: {
+			type: 'string',
+			description:
+				'Keep every context up to order, or grow a probabilistic suffix tree of significant ones (vlmm)',
+			enum: VLMM_CONSTRUCTIONS,
+			default: 'full',
+		},
+		significance: {
+			type: 'number',
+			description:
+				'Bits of training-data likelihood a context must add over its shorter suffix to be kept (vlmm pst)',
+			default: 2,
+			min: 0,
+		},
+		minSupport: {
+			type: 'integer',
+			description: 'Times a context must be seen to be kept (vlmm pst)',
+			default: 2,
+			min: 1,
+		},
+	};
+
+	/**
+	 * Validate serialized VLMM data
+	 * @param {Object} data - Serialized model data
+	 */
+	static validateJSON(data) {
+		if (!Number.isInteger(data.order) || data.order < 1) {
+			throw new Error('Invalid model data: missing or invalid order');
+		}
+
+		if (!Array.isArray(data.vocabulary)) {
+			throw new Error('Invalid model data: missing or invalid vocabulary');
+		}
+
+		if (!data.trie || typeof data.trie !== 'object') {
+			throw new Error('Invalid model data: missing or invalid trie');
+		}
+
+		if (data.construction && !VLMM_CONSTRUCTIONS.includes(data.construction)) {
+			throw new Error(
+				`Invalid model data: unknown construction ${data.construction}`,
+			);
+		}
+	}
+
 	constructor(options = {}) {
 		super(options);
 		this.root = new VLMMNode();
@@ -18,9 +90,24 @@ export class VLMModel extends TextModel {
 		if (!Number.isInteger(this.order) || this.order < 1 || this.order > 10) {
 			throw new Error('order must be a positive integer between 1 and 10');
 		}
+		this.construction = options.construction || 'full';
+		if (!VLMM_CONSTRUCTIONS.includes(this.construction)) {
+			throw new Error(
+				`Unknown construction: ${this.construction} (expected one of: ${VLMM_CONSTRUCTIONS.join(', ')})`,
+			);
+		}
+		this.significance = options.significance ?? 2;
+		if (typeof this.significance !== 'number' || !(this.significance >= 0)) {
+			throw new Error('significance must be a non-negative number');
+		}
+		this.minSupport = options.minSupport ?? 2;
+		if (!Number.isInteger(this.minSupport) || this.minSupport < 1) {
+			throw new Error('minSupport must be a positive integer');
+		}
 		this.totalTokens = 0;
 		this.vocabulary = new Set();
-		this.modelType = 'vlmm';
+		this.startContexts = new Set();
+		this.modelType = this.constructor.modelType;
 	}
 
 	/**
@@ -30,60 +117,101 @@ export class VLMModel extends TextModel {
 	getCapabilities() {
 		return {
 			supportsTemperature: true,
-			supportsConstraints: false,
+			supportsConstraints: true,
 			supportsConditionalGeneration: true,
 			supportsBatchGeneration: true,
+			supportsPruning: true,
 			maxOrder: 10,
 			modelType: this.modelType,
 		};
 	}
 
+	/**
+	 * @override
+	 * @param {string[]|string[][]} tokens - Preprocessed tokens, or an array of token sequences
+	 * @param {Object} options - Additional options
+	 * @param {boolean} options.caseSensitive - Whether to preserve case (default: the model's setting)
+	 * @param {boolean} options.trackStartStates - Whether to track sentence starts (default: true)
+	 * @param {boolean} options.incremental - Add to existing counts instead
+	 *   of replacing them (default: false); pst models drop the counts of
+	 *   rejected contexts, so they are retrained from the whole corpus instead
+	 */
 	train(tokens, options = {}) {
-		const { caseSensitive = false, trackStartStates = true } = options;
-
-		if (!Array.isArray(tokens) || tokens.some((t) => typeof t !== 'string')) {
-			throw new Error('Input tokens must be an array of strings.');
+		const {
+			caseSensitive = this.caseSensitive,
+			trackStartStates = true,
+			incremental = false,
+		} = options;
+
+		if (incremental && this.construction === 'pst') {
+			throw new Error(
+				'VLMMs built with construction "pst" are retrained from the whole corpus',
+			);
 		}
 
-		// Check if tokens is an array of arrays
-		if (tokens.some(Array.isArray)) {
-			// Train on each sub-array separately
-			for (const subTokens of tokens) {
-				this.train(subTokens, options);
-			}
-			return;
+		const sequences = toTokenSequences(tokens);
+
+		if (!incremental) {
+			this.reset();
 		}
 
-		if (tokens.some((t) => typeof t !== 'string')) {
-			throw new Error('Input tokens must be an array of strings.');
+		for (const sequence of sequences) {
+			// Process tokens with case normalization if needed
+			const processedTokens = caseSensitive
+				? sequence
+				: sequence.map((t) => t.toLowerCase());
+			this.addSequence(processedTokens, trackStartStates);
 		}
 
-		if (tokens.length < 2) {
+		if (this.totalTokens < 2) {
 			throw new Error('Need at least 2 tokens to train VLMM');
 		}
 
+		if (this.construction === 'pst') {
+			this.pruneLevels((levels) =>
+				selectContexts(levels, {
+					significance: this.significance,
+					minSupport: this.minSupport,
+				}),
+			);
+		}
+
+		console.log(
+			`VLMM trained: ${this.root.countNodes()} nodes, ${this.vocabulary.size} vocabulary`,
+		);
+		console.log(
+			`Start contexts: ${this.startContexts.size} (sentence beginnings)`,
+		);
+	}
+
+	/**
+	 * Clear all trained counts
+	 */
+	reset() {
 		this.root = new VLMMNode();
-		this.totalTokens = tokens.length;
+		this.totalTokens = 0;
 		this.vocabulary = new Set();
-
-		// Track sentence start contexts (similar to MarkovModel's startStates)
 		this.startContexts = new Set();
+	}
 
-		// Process tokens with case normalization if needed
-		const processedTokens = caseSensitive
-			? tokens
-			: tokens.map((t) => t.toLowerCase());
+	/**
+	 * Add contexts of every length up to order from one token sequence
+	 * @param {string[]} tokens - Normalized tokens
+	 * @param {boolean} trackStartStates - Whether to record sentence-start contexts
+	 */
+	addSequence(tokens, trackStartStates) {
+		this.totalTokens += tokens.length;
 
 		// Build vocabulary
-		processedTokens.forEach((token) => this.vocabulary.add(token));
+		tokens.forEach((token) => this.vocabulary.add(token));
 
 		// Track sentence boundaries
 		const sentenceEndings = new Set(['.', '!', '?']);
 		let isStartOfSentence = true; // First token is always start of sentence
 
 		// Build contexts of all lengths up to order
-		for (let i = 0; i < processedTokens.length - 1; i++) {
-			const next = processedTokens[i + 1];
+		for (let i = 0; i < tokens.length - 1; i++) {
+			const next = tokens[i + 1];
 
 			// Only add empty context (0-gram) for sentence starts
 			if (trackStartStates && isStartOfSentence) {
@@ -93,7 +221,7 @@ export class VLMModel extends TextModel {
 			// Add contexts of increasing length
 			const maxContextLen = Math.min(this.order, i + 1);
 			for (let contextLen = 1; contextLen <= maxContextLen; contextLen++) {
-				const context = processedTokens.slice(i + 1 - contextLen, i + 1);
+				const context = tokens.slice(i + 1 - contextLen, i + 1);
 				this.root.addContext(context, next);
 
 				// Only store contexts that actually start at sentence boundaries
@@ -101,7 +229,7 @@ export class VLMModel extends TextModel {
 				const isContextAtSentenceStart =
 					contextStartPos === 0 ||
 					(contextStartPos > 0 &&
-						sentenceEndings.has(processedTokens[contextStartPos - 1]));
+						sentenceEndings.has(tokens[contextStartPos - 1]));
 
 				if (trackStartStates && isContextAtSentenceStart) {
 					this.startContexts.add(context.join(' '));
@@ -109,24 +237,20 @@ export class VLMModel extends TextModel {
 			}
 
 			// Update for next iteration: next position starts sentence if current token ends one
-			isStartOfSentence = sentenceEndings.has(processedTokens[i]);
+			isStartOfSentence = sentenceEndings.has(tokens[i]);
 		}
-
-		console.log(
-			`VLMM trained: ${this.root.countNodes()} nodes, ${this.vocabulary.size} vocabulary`,
-		);
-		console.log(
-			`Start contexts: ${this.startContexts.size} (sentence beginnings)`,
-		);
 	}
 
-	generate(context = new GenerationContext()) {
+	/**
+	 * Generate text from the longest matching contexts, one token at a time
+	 * @param {GenerationContext} context - Generation options
+	 * @yields {Object} - The prompt or start context, then each added token
+	 * @returns {GenerationResult} - Generated text and metadata
+	 */
+	*generateTokens(context = new GenerationContext()) {
 		const {
 			max_tokens = 100,
-			min_tokens = 50,
-			stop: stop_tokens = ['.', '!', '?'],
 			prompt = null,
-			temperature = 1.0,
 			randomFn = random,
 			allowRepetition = true,
 		} = context;
@@ -137,16 +261,32 @@ export class VLMModel extends TextModel {
 
 		const generated = [];
 		const history = [];
+		const constraints = LexicalConstraints.fromContext(
+			this,
+			context,
+			generated,
+		);
+		// Model probability of the last sampled token, reported with it
+		let probability = null;
+		const sampling = {
+			...getSamplingOptions(context),
+			constraints,
+			onSample: (token, p) => (probability = p),
+		};
+		const stopConditions = StopConditions.fromContext(this, context);
 
 		// Initialize generation state
 		if (prompt) {
 			// Handle user-provided prompt
-			const promptTokens = prompt.trim().split(/\s+/);
+			const promptTokens = this.splitPrompt(prompt);
 			generated.push(...promptTokens);
 			history.push(...promptTokens);
 		} else {
 			// Start with a sentence-beginning context or empty context
-			const startContext = this.getRandomStartContext(randomFn);
+			const startContext = this.getRandomStartContext(
+				randomFn,
+				constraints && ((tokens) => constraints.canStartFrom(tokens)),
+			);
 
 			if (startContext === null) {
 				throw new Error('No valid starting contexts available');
@@ -160,7 +300,11 @@ export class VLMModel extends TextModel {
 			// If startContext is empty [], we'll generate from 0-gram below
 		}
 
+		yield { type: 'start', tokens: [...generated] };
+		stopConditions.begin(generated);
+
 		let finish_reason = 'length';
+		let stop_condition = null;
 		let attempts = 0;
 		const maxAttempts = max_tokens * 3;
 
@@ -169,18 +313,21 @@ export class VLMModel extends TextModel {
 
 			// Use up to order tokens as context
 			const contextTokens = history.slice(-this.order);
-			const nextToken = this.sampleNextToken(
-				contextTokens,
-				temperature,
-				randomFn,
-			);
+			const nextToken = this.sampleNextToken(contextTokens, sampling, randomFn);
 
 			if (nextToken === null) {
+				if (constraints?.blocked) {
+					finish_reason = 'constraint_unsatisfiable';
+					break;
+				}
+
 				// No valid transitions from current context
 				// Try to start a new sentence
-				if (
-					this.tryStartNewSentence(generated, history, temperature, randomFn)
-				) {
+				const restart = generated.length;
+				if (this.tryStartNewSentence(generated, history, sampling, randomFn)) {
+					for (const token of generated.slice(restart)) {
+						yield { type: 'token', token, probability: null };
+					}
 					continue; // Successfully started new sentence, continue generation
 				} else {
 					// Can't start new sentence either
@@ -200,10 +347,13 @@ export class VLMModel extends TextModel {
 
 			generated.push(nextToken);
 			history.push(nextToken);
+			yield { type: 'token', token: nextToken, probability };
 
 			// Check stop conditions
-			if (generated.length >= min_tokens && stop_tokens.includes(nextToken)) {
+			const stopped = stopConditions.check(generated);
+			if (stopped && (!constraints || constraints.isSatisfied())) {
 				finish_reason = 'stop';
+				stop_condition = stopped;
 				break;
 			}
 		}
@@ -212,13 +362,19 @@ export class VLMModel extends TextModel {
 			finish_reason = 'max_attempts';
 		}
 
+		if (constraints && !constraints.isSatisfied()) {
+			finish_reason = 'constraint_unsatisfiable';
+		}
+
 		const finalText = this.postProcess(generated, context);
 		return new GenerationResult(finalText, {
 			tokens: generated,
 			length: generated.length,
 			model: 'vlmm',
 			finish_reason,
+			stop_condition,
 			attempts,
+			seed: context.seed,
 		});
 	}
 
@@ -226,13 +382,17 @@ export class VLMModel extends TextModel {
 	 * Helper method to try starting a new sentence when generation gets stuck
 	 * @param {string[]} generated - Current generated tokens
 	 * @param {string[]} history - Current history for context tracking
-	 * @param {number} temperature - Temperature for sampling
+	 * @param {Object} sampling - Temperature and truncation options
 	 * @param {Function} randomFn - Random function
 	 * @returns {boolean} - True if new sentence was started successfully
 	 */
-	tryStartNewSentence(generated, history, temperature, randomFn) {
+	tryStartNewSentence(generated, history, sampling, randomFn) {
 		// Try to get a sentence-starting context
-		const startContext = this.getRandomStartContext(randomFn);
+		const { constraints } = sampling;
+		const startContext = this.getRandomStartContext(
+			randomFn,
+			constraints && ((tokens) => constraints.canStartFrom(tokens)),
+		);
 
 		if (startContext === null) {
 			return false; // No valid start contexts available
@@ -240,7 +400,7 @@ export class VLMModel extends TextModel {
 
 		if (startContext.length === 0) {
 			// Empty context - sample from sentence-starting 0-grams
-			const sentenceToken = this.sampleNextToken([], temperature, randomFn);
+			const sentenceToken = this.sampleNextToken([], sampling, randomFn);
 			if (sentenceToken !== null) {
 				generated.push(sentenceToken);
 				history.push(sentenceToken);
@@ -259,12 +419,20 @@ export class VLMModel extends TextModel {
 	/**
 	 * Get a random starting context for generation
 	 * @param {Function} randomFn - Random function
+	 * @param {Function} accept - Optional test of a context's tokens; sentence
+	 *   starts it rejects are skipped unless it rejects them all
 	 * @returns {string[]|null} - Starting context tokens or null if none available
 	 */
-	getRandomStartContext(randomFn = random) {
+	getRandomStartContext(randomFn = random, accept = null) {
 		// First check if we have any sentence-starting contexts stored
 		if (this.startContexts && this.startContexts.size > 0) {
-			const startContextsArray = Array.from(this.startContexts);
+			const contexts = Array.from(this.startContexts);
+			const accepted = accept
+				? contexts.filter((context) =>
+						accept(context === '' ? [] : context.split(' ')),
+					)
+				: contexts;
+			const startContextsArray = accepted.length > 0 ? accepted : contexts;
 			const randomContextStr =
 				startContextsArray[Math.floor(randomFn() * startContextsArray.length)];
 			return randomContextStr === '' ? [] : randomContextStr.split(' ');
@@ -288,57 +456,62 @@ export class VLMModel extends TextModel {
 		return null; // No valid contexts found
 	}
 
-	sampleNextToken(contextTokens, temperature, randomFn = random) {
-		// Try contexts from longest to shortest
-		for (let contextLen = contextTokens.length; contextLen >= 0; contextLen--) {
-			const context = contextTokens.slice(-contextLen);
-			const node = this.root.getNode(context);
-
-			if (!node || node.nextCounts.size === 0) {
-				continue;
-			}
+	/**
+	 * @override
+	 * Beam search starts from the prompt or a sentence-start context
+	 * @param {string|null} prompt - Optional starting text
+	 * @param {Function} randomFn - Random function
+	 * @param {Function} accept - Optional test of a random start's tokens
+	 * @returns {string[]|null} - Start tokens (possibly empty)
+	 */
+	getStartTokens(prompt, randomFn = random, accept = null) {
+		return prompt
+			? this.splitPrompt(prompt)
+			: this.getRandomStartContext(randomFn, accept);
+	}
 
-			// Found a valid context with transitions
-			const transitions = Array.from(node.nextCounts.entries());
-			const totalCount = transitions.reduce((sum, [, count]) => sum + count, 0);
+	/**
+	 * @override
+	 * @param {string[]} history - Tokens so far
+	 * @returns {Array<{token: string, probability: number}>}
+	 */
+	getNextTokenDistribution(history) {
+		return this.getPossibleNextTokens(history.slice(-this.order));
+	}
 
-			if (temperature === 0) {
-				// Deterministic: pick most frequent
-				const [bestToken] = transitions.reduce((best, current) =>
-					current[1] > best[1] ? current : best,
-				);
-				return bestToken;
-			}
+	/**
+	 * @override
+	 * Read from the single-token contexts of the trie
+	 * @returns {Map<string, Set<string>>} - token -> following tokens
+	 */
+	getTransitionGraph() {
+		const graph = new Map();
+		for (const [token, node] of this.root.children) {
+			graph.set(token, new Set(node.nextCounts.keys()));
+		}
+		return graph;
+	}
 
-			// Apply temperature scaling
-			const weighted = transitions.map(([token, count]) => {
-				const prob = count / totalCount;
-				return {
-					token,
-					probability: Math.pow(prob, 1 / temperature),
-				};
-			});
-
-			const totalProb = weighted.reduce((sum, w) => sum + w.probability, 0);
-			if (totalProb === 0) continue; // Skip if all probabilities are 0
-
-			const normalized = weighted.map((w) => ({
-				token: w.token,
-				probability: w.probability / totalProb,
-			}));
-
-			// Sample from distribution
-			const rand = randomFn();
-			let cumProb = 0;
-			for (const { token, probability } of normalized) {
-				cumProb += probability;
-				if (rand <= cumProb) return token;
+	/**
+	 * Sample the next token from the longest context with transitions
+	 * @param {string[]} contextTokens - Preceding tokens
+	 * @param {Object} sampling - Temperature and truncation options (see Sampling.js)
+	 * @param {Function} randomFn - Random function
+	 * @returns {string|null} - The next token, or null if no context matches
+	 */
+	sampleNextToken(contextTokens, sampling, randomFn = random) {
+		// Back off to shorter contexts when constraints mask every token of
+		// the longest one
+		for (let start = 0; start <= contextTokens.length; start++) {
+			const token = sampleToken(
+				this.getPossibleNextTokens(contextTokens.slice(start)),
+				sampling,
+				randomFn,
+			);
+			if (token !== null || !sampling.constraints?.blocked) {
+				return token;
 			}
-
-			// Fallback to last token
-			return normalized[normalized.length - 1].token;
 		}
-
 		return null;
 	}
 
@@ -349,7 +522,7 @@ export class VLMModel extends TextModel {
 	 */
 	getBestContext(tokens) {
 		for (let len = Math.min(tokens.length, this.order); len >= 0; len--) {
-			const context = tokens.slice(-len);
+			const context = tokens.slice(tokens.length - len);
 			const node = this.root.getNode(context);
 			if (node && node.nextCounts.size > 0) {
 				return { node, contextLength: len, context };
@@ -380,10 +553,41 @@ export class VLMModel extends TextModel {
 			.sort((a, b) => b.probability - a.probability);
 	}
 
+	/**
+	 * Score each token using the longest matching context, as generation does
+	 * @param {string[]} tokens - Normalized tokens
+	 * @returns {Array<{token: string, probability: number, oov: boolean, contextLength: number|null}>}
+	 */
+	scoreSequence(tokens) {
+		return tokens.map((token, i) => {
+			const match = this.getBestContext(
+				tokens.slice(Math.max(0, i - this.order), i),
+			);
+
+			let probability = 0;
+			if (match) {
+				probability =
+					(match.node.nextCounts.get(token) || 0) /
+					match.node.getTotalTransitions();
+			}
+
+			return {
+				token,
+				probability,
+				oov: !this.vocabulary.has(token),
+				contextLength: match ? match.contextLength : null,
+			};
+		});
+	}
+
 	toJSON() {
 		return {
 			order: this.order,
 			modelType: this.modelType,
+			construction: this.construction,
+			significance: this.significance,
+			minSupport: this.minSupport,
+			...this.tokenizerToJSON(),
 			totalTokens: this.totalTokens,
 			vocabulary: Array.from(this.vocabulary),
 			startContexts: Array.from(this.startContexts),
@@ -397,6 +601,10 @@ export class VLMModel extends TextModel {
 		}
 
 		this.order = data.order || 5;
+		this.construction = data.construction || 'full';
+		this.significance = data.significance ?? 2;
+		this.minSupport = data.minSupport ?? 2;
+		this.tokenizerFromJSON(data);
 		this.totalTokens = data.totalTokens || 0;
 		this.vocabulary = new Set(data.vocabulary || []);
 		this.startContexts = new Set(data.startContexts || []);
@@ -406,6 +614,7 @@ export class VLMModel extends TextModel {
 	getStats() {
 		const stats = {
 			order: this.order,
+			construction: this.construction,
 			vocabularySize: this.vocabulary.size,
 			totalTokens: this.totalTokens,
 			totalNodes: this.root.countNodes(),
@@ -422,23 +631,70 @@ export class VLMModel extends TextModel {
 	}
 
 	/**
-	 * Post-process generated tokens into readable text
+	 * Number of contexts with transitions, of their transitions and of
+	 * sentence-start contexts
+	 * @returns {{contexts: number, transitions: number, startStates: number}}
+	 */
+	getSize() {
+		const contextLengths = new Map();
+		this.root.getContextStats(contextLengths, 0);
+		let contexts = 0;
+		for (const count of contextLengths.values()) {
+			contexts += count;
+		}
+		return {
+			contexts,
+			transitions: this.root.countTransitions(),
+			startStates: this.startContexts.size,
+		};
+	}
+
+	/**
+	 * @override
+	 * Prune contexts of every length from 1 up, comparing each context with
+	 * the shorter one it backs off to for klThreshold. Single-token contexts
+	 * are never pruned for klThreshold: the empty context only holds sentence
+	 * starts. Sentence-start contexts stay, since generation backs off from
+	 * them.
+	 * @param {Object} options - minCount, maxStates and klThreshold (see Pruning.js)
 	 */
-	postProcess(tokens, context = {}) {
-		if (tokens.length === 0) return '';
-		let text = tokens.join(' ');
-
-		text = text
-			.replace(/\s+([.!?;:,'")\]}])/g, '$1')
-			.replace(/([.!?;:,])(\w)/g, '$1 $2')
-			.replace(/\s+(['"])/g, ' $1')
-			.replace(/(['"()])\s+/g, '$1 ')
-			.replace(/([.!?])\s+(\w)/g, (m, p, l) => `${p} ${l.toUpperCase()}`)
-			.replace(/^\w/, (m) => m.toUpperCase())
-			.replace(/\s+/g, ' ')
-			.trim();
-
-		return text;
+	prune(options = {}) {
+		this.pruneLevels((levels) => pruneContexts(levels, options));
+	}
+
+	/**
+	 * Hand the trie's contexts to a function that deletes some of them (see
+	 * Pruning.js), then clear those contexts and drop trie nodes left empty
+	 * @param {Function} pruneFn - Called with the contexts of each length;
+	 *   level 0 is left undefined
+	 */
+	pruneLevels(pruneFn) {
+		const levels = [undefined];
+		const nodes = [undefined];
+		for (let length = 1; length <= this.order; length++) {
+			const contexts = this.root.getContextsAtDepth(length);
+			levels.push(
+				new Map(
+					contexts.map(({ context, node }) => [
+						context.join(' '),
+						node.nextCounts,
+					]),
+				),
+			);
+			nodes.push(contexts);
+		}
+
+		pruneFn(levels);
+
+		for (let length = 1; length <= this.order; length++) {
+			for (const { context, node } of nodes[length]) {
+				if (!levels[length].has(context.join(' '))) {
+					node.nextCounts.clear();
+				}
+			}
+		}
+		// Counts below 1 don't exist: this only removes empty nodes
+		this.root.prune(1);
 	}
 
 	/**
@@ -462,3 +718,5 @@ export class VLMModel extends TextModel {
 		return results;
 	}
 }
+
+registerModelType(VLMModel);
@@ -1,6 +1,16 @@
 // Models module exports
 export * from './Interfaces.js';
+export * from './ModelRegistry.js';
 export * from './Tokenizer.js';
+export * from './BPETokenizer.js';
+export * from './Detokenizer.js';
+export * from './BeamSearch.js';
+export * from './Infill.js';
+export * from './Constraints.js';
+export * from './StopConditions.js';
+export * from './Pruning.js';
 export * from './Markov/Model.js';
+export * from './NGram/Model.js';
 export * from './VLMM/Model.js';
 export * from './HMM/Model.js';
+export * from './Blend/Model.js';
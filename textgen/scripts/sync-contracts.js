@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Sync the `train` command contracts with the model registry.
+ *
+ * Adds any constructor option declared in a model type's optionsSchema that
+ * the contracts do not expose yet (including the pass-through on the
+ * getCorpus -> train chain). Enums of options that are already exposed are
+ * refreshed from the schema. Types whose capabilities declare
+ * `trainable: false` are left out. modelType itself has no enum: trainModel
+ * checks it against the registry when it runs, so types registered by
+ * plugins need no sync to be trained.
+ *
+ * Usage: node textgen/scripts/sync-contracts.js
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { listModelTypes, loadModelPlugins } from '../models/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TEXTGEN_CONTRACT = path.resolve(__dirname, '../contract.json');
+const ROOT_CONTRACT = path.resolve(__dirname, '../../contract.json');
+
+function readContract(filePath) {
+	return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function writeContract(filePath, contract) {
+	fs.writeFileSync(filePath, JSON.stringify(contract, null, 2), 'utf8');
+}
+
+/**
+ * Apply registry data to a train command's parameters
+ * @param {Object} parameters - The train command's parameter specs
+ * @param {Array<Object>} modelTypes - Output of listModelTypes()
+ * @returns {string[]} - Names of option parameters that were added
+ */
+function syncTrainParameters(parameters, modelTypes) {
+	const added = [];
+	for (const { optionsSchema } of modelTypes) {
+		for (const [option, spec] of Object.entries(optionsSchema)) {
+			if (!parameters[option]) {
+				const { type, ...rest } = spec;
+				parameters[option] = { type, required: false, ...rest };
+				added.push(option);
+			} else if (spec.enum) {
+				parameters[option].enum = spec.enum;
+			}
+		}
+	}
+	return added;
+}
+
+await loadModelPlugins();
+const modelTypes = listModelTypes().filter(
+	({ capabilities }) => capabilities.trainable !== false,
+);
+
+const textgenContract = readContract(TEXTGEN_CONTRACT);
+syncTrainParameters(textgenContract.commands.train.parameters, modelTypes);
+writeContract(TEXTGEN_CONTRACT, textgenContract);
+
+const rootContract = readContract(ROOT_CONTRACT);
+const added = syncTrainParameters(
+	rootContract.commands.train.parameters,
+	modelTypes,
+);
+const chained =
+	rootContract.commands['fileOps/getCorpus'].next['textgen/train'].parameters;
+for (const option of added) {
+	chained[option] = { resolve: `{{original.${option}}}` };
+}
+writeContract(ROOT_CONTRACT, rootContract);
+
+console.log(
+	`Synced contracts for model types: ${modelTypes.map((t) => t.modelType).join(', ')}`,
+);